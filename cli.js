@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+/**
+ * Command line tool for managing snapshot directories.
+ * Run `http-snapshotter help` for usage.
+ */
+const { parseArgs } = require('node:util');
+const { promises: fs } = require('node:fs');
+const { resolve, relative, isAbsolute } = require('node:path');
+const {
+  readSnapshotDirectory, rekeySnapshots, importHar, exportHar,
+} = require('./index.js');
+
+const usage = `Usage: http-snapshotter <command> [options]
+
+Commands:
+  ls <snapshot dir>                List snapshot files with method, URL, status and test case
+  show <snapshot dir> <file>...    Print request and response of snapshot files (file names as listed by ls)
+  grep <pattern> <snapshot dir>    List snapshot files whose URL or body matches a regular expression
+    --url                          Only search URLs
+    --body                         Only search request and response bodies
+    -i, --ignore-case              Case insensitive search
+  stats <snapshot dir>             Snapshot count and size per host and per test case
+  prune <snapshot dir>             Delete snapshot files listed in the unused snapshots log
+    --dry-run                      Only print the files that would be deleted
+    --log-file <file>              Unused snapshots log file, relative to snapshot dir (default: unused-snapshots.log)
+  rekey <snapshot dir>             Rename snapshot files to match the current filename generator
+    --dry-run                      Only print the files that would be renamed
+    --generator <module>           Module that exports the filename generator (default: default generator)
+  import-har <har file> <snapshot dir>
+                                   Write snapshot files for the entries of a HAR file
+    --test-case <name>             Test case (sub directory) to write the snapshots into
+    --response-sequence            Import repeats of an identical request as a response sequence
+    --generator <module>           Module that exports the filename generator (default: default generator)
+  export-har <snapshot dir>        Print snapshots in HAR format
+    --test-case <name>             Only export the snapshots of a test case
+    -o, --output <file>            Write the HAR to a file instead
+`;
+
+/**
+ * @typedef {import('./index.js').SnapshotDirectoryEntry} SnapshotDirectoryEntry
+ */
+
+/**
+ * @param {string[][]} rows First row is the header
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  return rows
+    .map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * @param {number} bytes
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Body as searchable / printable text
+ * @param {'json'|'text'|'base64'|'form'|'stream'|'error'|'websocket'} type
+ * @param {any} body
+ */
+function bodyToText(type, body) {
+  if (body === undefined) return '';
+  if (type === 'json' || type === 'form') return JSON.stringify(body, null, 2);
+  if (type === 'base64') return `<binary, ${Buffer.from(body, 'base64').byteLength} bytes>`;
+  if (type === 'stream') {
+    return /** @type {import('./index.js').SnapshotChunk[]} */ (body)
+      .map((chunk) => ('text' in chunk ? chunk.text : `<binary chunk, ${Buffer.from(chunk.base64, 'base64').byteLength} bytes>`))
+      .join('');
+  }
+  if (type === 'websocket') {
+    return /** @type {import('./index.js').WebSocketFrame[]} */ (body)
+      .map((frame) => {
+        const direction = frame.from === 'client' ? '>' : '<';
+        if ('close' in frame) return `${direction} <close ${frame.close.code}${frame.close.reason ? ` ${frame.close.reason}` : ''}>`;
+        if ('text' in frame) return `${direction} ${frame.text}`;
+        return `${direction} <binary, ${Buffer.from(frame.base64, 'base64').byteLength} bytes>`;
+      })
+      .join('\n');
+  }
+  return body;
+}
+
+/**
+ * @param {string|undefined} dir
+ */
+function requireSnapshotDirectory(dir) {
+  if (!dir) {
+    throw new Error('Please specify the snapshot directory');
+  }
+  return resolve(dir);
+}
+
+/**
+ * @param {string|undefined} modulePath Module that exports a filename generator function
+ * @returns {((req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>) | undefined}
+ */
+function loadGenerator(modulePath) {
+  if (!modulePath) return undefined;
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const generator = require(resolve(modulePath));
+  if (typeof generator !== 'function') {
+    throw new Error(`${modulePath} does not export a filename generator function`);
+  }
+  return generator;
+}
+
+/**
+ * @param {SnapshotDirectoryEntry[]} entries
+ */
+function formatSnapshotList(entries) {
+  return formatTable([
+    ['METHOD', 'STATUS', 'URL', 'TEST CASE', 'FILE'],
+    ...entries.map(({ fileName, testCase, snapshot }) => [
+      snapshot.request.method,
+      snapshot.responseType === 'error' ? snapshot.response.error.code : String(snapshot.response.status),
+      snapshot.request.url,
+      testCase || '-',
+      fileName,
+    ]),
+  ]);
+}
+
+/**
+ * @param {string[]} args
+ */
+async function ls([dir]) {
+  const entries = await readSnapshotDirectory(requireSnapshotDirectory(dir));
+  if (entries.length) {
+    console.log(formatSnapshotList(entries));
+  }
+}
+
+/**
+ * @param {string[]} args
+ */
+async function show([dir, ...files]) {
+  const snapshotDir = requireSnapshotDirectory(dir);
+  if (!files.length) {
+    throw new Error('Please specify the snapshot file(s) to show');
+  }
+  const entries = await readSnapshotDirectory(snapshotDir);
+  const output = files.map((file) => {
+    const fileName = relative(snapshotDir, resolve(snapshotDir, file));
+    const entry = entries.find((item) => item.fileName === fileName);
+    if (!entry) {
+      throw new Error(`Snapshot file not found: ${file}`);
+    }
+    const { request, response, requestType, responseType } = entry.snapshot;
+    /** @param {string[][]} headers */
+    const formatHeaders = (headers) => headers.map(([name, value]) => `  ${name}: ${value}`).join('\n');
+    return [
+      `File: ${entry.fileName}`,
+      `Test case: ${entry.testCase || '-'}`,
+      '',
+      `${request.method} ${request.url}`,
+      formatHeaders(request.headers),
+      bodyToText(requestType, request.body),
+      '',
+      entry.snapshot.responseType === 'error'
+        ? `Network error: ${entry.snapshot.response.error.message} (${entry.snapshot.response.error.code})`
+        : `${response.status} ${response.statusText}`,
+      formatHeaders(response.headers),
+      bodyToText(responseType, response.body),
+    ].filter((line, index, lines) => line !== '' || lines[index - 1] !== '').join('\n');
+  });
+  console.log(output.join('\n\n----------\n\n'));
+}
+
+/**
+ * @param {string[]} args
+ * @param {{ url?: boolean, body?: boolean, 'ignore-case'?: boolean }} options
+ */
+async function grep([pattern, dir], options) {
+  if (!pattern) {
+    throw new Error('Please specify the pattern to search for');
+  }
+  const regex = new RegExp(pattern, options['ignore-case'] ? 'i' : '');
+  const searchUrl = options.url || !options.body;
+  const searchBody = options.body || !options.url;
+  const entries = (await readSnapshotDirectory(requireSnapshotDirectory(dir))).filter(({ snapshot }) => (
+    (searchUrl && regex.test(snapshot.request.url))
+    || (searchBody && (
+      regex.test(bodyToText(snapshot.requestType, snapshot.request.body))
+      || regex.test(bodyToText(snapshot.responseType, snapshot.response.body))
+    ))
+  ));
+  if (entries.length) {
+    console.log(formatSnapshotList(entries));
+  }
+  return entries.length ? 0 : 1;
+}
+
+/**
+ * @param {string[]} args
+ */
+async function stats([dir]) {
+  const entries = await readSnapshotDirectory(requireSnapshotDirectory(dir));
+  /**
+   * @param {(entry: SnapshotDirectoryEntry) => string} getGroup
+   * @param {string} groupHeader
+   */
+  const statsBy = (getGroup, groupHeader) => {
+    /** @type {Map<string, { count: number, size: number }>} */
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const group = groups.get(getGroup(entry)) || { count: 0, size: 0 };
+      group.count += 1;
+      group.size += entry.size;
+      groups.set(getGroup(entry), group);
+    });
+    return formatTable([
+      [groupHeader, 'SNAPSHOTS', 'SIZE'],
+      ...[...groups.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([group, { count, size }]) => [group, String(count), formatSize(size)]),
+    ]);
+  };
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  console.log([
+    statsBy(({ snapshot }) => new URL(snapshot.request.url).host, 'HOST'),
+    '',
+    statsBy(({ testCase }) => testCase || '-', 'TEST CASE'),
+    '',
+    `Total: ${entries.length} snapshots, ${formatSize(totalSize)}`,
+  ].join('\n'));
+}
+
+/**
+ * @param {string[]} args
+ * @param {{ 'dry-run'?: boolean, 'log-file'?: string }} options
+ */
+async function prune([dir], options) {
+  const snapshotDir = requireSnapshotDirectory(dir);
+  const logFile = resolve(snapshotDir, options['log-file'] || 'unused-snapshots.log');
+  let log;
+  try {
+    log = await fs.readFile(logFile, 'utf-8');
+  } catch (err) {
+    if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'ENOENT') throw err;
+    console.log(`No unused snapshots log found at ${logFile}`);
+    return 0;
+  }
+  const files = log.split('\n').map((line) => line.trim()).filter(Boolean);
+  for (const file of files) {
+    const relativePath = relative(snapshotDir, resolve(snapshotDir, file));
+    if (relativePath.startsWith('..') || isAbsolute(relativePath)) {
+      console.error(`Skipping file outside of snapshot directory: ${file}`);
+      continue;
+    }
+    if (options['dry-run']) {
+      console.log(`Would delete: ${relativePath}`);
+      continue;
+    }
+    try {
+      await fs.unlink(resolve(snapshotDir, relativePath));
+      console.log(`Deleted: ${relativePath}`);
+    } catch (err) {
+      if (/** @type {NodeJS.ErrnoException} */ (err).code !== 'ENOENT') throw err;
+      console.log(`Already deleted: ${relativePath}`);
+    }
+  }
+  if (!options['dry-run']) {
+    await fs.unlink(logFile);
+  }
+  return 0;
+}
+
+/**
+ * @param {string[]} args
+ * @param {{ 'dry-run'?: boolean, generator?: string }} options
+ */
+async function rekey([dir], options) {
+  const snapshotDir = requireSnapshotDirectory(dir);
+  const dryRun = Boolean(options['dry-run']);
+  const generator = loadGenerator(options.generator);
+  const {
+    renamed, collisions, skipped, unchanged,
+  } = await rekeySnapshots(snapshotDir, { dryRun, snapshotFileNameGenerator: generator });
+  renamed.forEach(({
+    from, to, fromFileSuffixKey, toFileSuffixKey,
+  }) => {
+    console.log(`${dryRun ? 'Would rename' : 'Renamed'}: ${from} -> ${to}`);
+    if (fromFileSuffixKey !== toFileSuffixKey) {
+      console.log(`  - ${fromFileSuffixKey}\n  + ${toFileSuffixKey}`);
+    }
+  });
+  collisions.forEach(({ to, files }) => {
+    console.error(`Collision: ${files.join(', ')} -> ${to}`);
+  });
+  skipped.forEach(({ file, reason }) => {
+    console.error(`Skipped: ${file} (${reason})`);
+  });
+  console.log(`${renamed.length} renamed, ${unchanged} unchanged, ${collisions.length} collisions, ${skipped.length} skipped`);
+  return collisions.length ? 1 : 0;
+}
+
+/**
+ * @param {string[]} args
+ * @param {{ 'test-case'?: string, 'response-sequence'?: boolean, generator?: string }} options
+ */
+async function importHarCommand([harFile, dir], options) {
+  if (!harFile) {
+    throw new Error('Please specify the HAR file to import');
+  }
+  const har = JSON.parse(await fs.readFile(harFile, 'utf-8'));
+  const { written, skipped } = await importHar(har, requireSnapshotDirectory(dir), {
+    testCase: options['test-case'],
+    responseSequence: options['response-sequence'],
+    snapshotFileNameGenerator: loadGenerator(options.generator),
+  });
+  written.forEach((file) => console.log(`Written: ${file}`));
+  skipped.forEach(({ url, reason }) => console.error(`Skipped: ${url} (${reason})`));
+  console.log(`${written.length} written, ${skipped.length} skipped`);
+}
+
+/**
+ * @param {string[]} args
+ * @param {{ 'test-case'?: string, output?: string }} options
+ */
+async function exportHarCommand([dir], options) {
+  const har = await exportHar(requireSnapshotDirectory(dir), { testCase: options['test-case'] });
+  const json = JSON.stringify(har, null, 2);
+  if (options.output) {
+    await fs.writeFile(options.output, json, 'utf-8');
+    console.log(`Exported ${har.log.entries.length} snapshots to ${options.output}`);
+  } else {
+    console.log(json);
+  }
+}
+
+/** @type {Record<string, (args: string[], options: any) => Promise<number|void>>} */
+const commands = {
+  ls,
+  show,
+  grep,
+  stats,
+  prune,
+  rekey,
+  'import-har': importHarCommand,
+  'export-har': exportHarCommand,
+};
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: 'boolean' },
+      body: { type: 'boolean' },
+      'ignore-case': { type: 'boolean', short: 'i' },
+      'dry-run': { type: 'boolean' },
+      'log-file': { type: 'string' },
+      generator: { type: 'string' },
+      'test-case': { type: 'string' },
+      'response-sequence': { type: 'boolean' },
+      output: { type: 'string', short: 'o' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  const [commandName, ...args] = positionals;
+  const command = Object.hasOwn(commands, commandName) ? commands[commandName] : undefined;
+  if (!command || values.help) {
+    console.log(usage);
+    return command || values.help || commandName === 'help' ? 0 : 1;
+  }
+  return (await command(args, values)) || 0;
+}
+
+main().then(
+  (exitCode) => {
+    process.exitCode = exitCode;
+  },
+  (err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  },
+);
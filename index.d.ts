@@ -10,9 +10,115 @@ export type SnapshotFileInfo = {
      */
     fileSuffixKey: string;
 };
+export type SnapshotDirectoryEntry = {
+    /**
+     * Path relative to the snapshot directory
+     */
+    fileName: string;
+    absoluteFilePath: string;
+    /**
+     * Test case (sub directory) the snapshot belongs to. Empty string for the root directory.
+     */
+    testCase: string;
+    /**
+     * File size in bytes
+     */
+    size: number;
+    snapshot: Snapshot;
+};
+export type RekeyResult = {
+    /**
+     * Files that were renamed (or would be, with dryRun)
+     */
+    renamed: {
+        from: string;
+        to: string;
+        fromFileSuffixKey: string;
+        toFileSuffixKey: string;
+    }[];
+    /**
+     * Files that would end up with the same name,
+     * or with the name of another existing file. These are left as they are.
+     */
+    collisions: {
+        to: string;
+        files: string[];
+    }[];
+    /**
+     * Files that couldn't be re-keyed
+     */
+    skipped: {
+        file: string;
+        reason: string;
+    }[];
+    /**
+     * Number of files whose name is still the same
+     */
+    unchanged: number;
+};
+export type WebSocketConnectionData = import('@mswjs/interceptors/WebSocket').WebSocketConnectionData;
+export type SnapshotMode = 'read' | 'update' | 'append' | 'ignore' | 'verify' | 'refresh-stale';
+export type StalenessOptions = {
+    /**
+     * Age after which a snapshot is stale, in milliseconds or as a string
+     * like '90d', '12h', '30m'. Snapshots recorded before recordedAt was tracked are always stale.
+     */
+    maxAge?: string | number | undefined;
+    /**
+     * What to do when a stale snapshot is read in read mode.
+     * Defaults to 'warn'.
+     */
+    onStale?: "warn" | "fail" | undefined;
+};
+export type UnusedSnapshotsOptions = {
+    /**
+     * What to do when endTestCase() finds snapshot files
+     * in the test case directory that the test case didn't read in read mode. 'fail' makes endTestCase() throw.
+     * Defaults to false.
+     */
+    onEndTestCase?: false | "warn" | "fail" | undefined;
+    /**
+     * Delete the snapshot files of a test case that weren't re-recorded
+     * in update mode, at endTestCase(). Defaults to false.
+     */
+    deleteOnUpdate?: boolean | undefined;
+};
+export type LogOptions = {
+    /**
+     * Log requests (same as LOG_REQ=summary or LOG_REQ=detailed)
+     */
+    requests?: false | "summary" | "detailed" | undefined;
+    /**
+     * Log read/saved snapshots (same as LOG_SNAPSHOT=1)
+     */
+    snapshots?: boolean | undefined;
+};
+/**
+ * File part of a multipart form body. Only the hash of the file contents is stored.
+ */
+export type SnapshotFormFile = {
+    filename: string;
+    /**
+     * Content type
+     */
+    type: string;
+    /**
+     * In bytes
+     */
+    size: number;
+    /**
+     * Hex encoded hash of the contents
+     */
+    sha256: string;
+};
+/**
+ * Fields of an application/x-www-form-urlencoded or multipart/form-data request body, by name.
+ * Repeated fields are arrays, in the order they were sent.
+ */
+export type SnapshotForm = Record<string, string | SnapshotFormFile | (string | SnapshotFormFile)[]>;
 export type SnapshotText = {
     fileSuffixKey: string;
-    requestType: 'json' | 'text';
+    requestType: 'json' | 'text' | 'base64' | 'form';
     request: {
         method: string;
         url: string;
@@ -29,7 +135,7 @@ export type SnapshotText = {
 };
 export type SnapshotJson = {
     fileSuffixKey: string;
-    requestType: 'json' | 'text';
+    requestType: 'json' | 'text' | 'base64' | 'form';
     request: {
         method: string;
         url: string;
@@ -44,24 +150,811 @@ export type SnapshotJson = {
         body: object | undefined;
     };
 };
-export type Snapshot = SnapshotText | SnapshotJson;
+/**
+ * Binary response body, stored base64 encoded
+ */
+export type SnapshotBase64 = {
+    fileSuffixKey: string;
+    requestType: 'json' | 'text' | 'base64' | 'form';
+    request: {
+        method: string;
+        url: string;
+        headers: string[][];
+        body: string | object | undefined;
+    };
+    responseType: 'base64';
+    response: {
+        status: number;
+        statusText: string;
+        headers: string[][];
+        body: string | undefined;
+    };
+};
+/**
+ * A chunk of a streamed response body. Chunks that aren't valid UTF-8 are stored as base64.
+ */
+export type SnapshotChunk = ({
+    text: string;
+} | {
+    base64: string;
+}) & {
+    delayMs?: number;
+};
+/**
+ * Streamed response body (e.g. server-sent events), stored chunk by chunk
+ */
+export type SnapshotStream = {
+    fileSuffixKey: string;
+    requestType: 'json' | 'text' | 'base64' | 'form';
+    request: {
+        method: string;
+        url: string;
+        headers: string[][];
+        body: string | object | undefined;
+    };
+    responseType: 'stream';
+    response: {
+        status: number;
+        statusText: string;
+        headers: string[][];
+        body: SnapshotChunk[];
+        abortAfterChunks?: number | undefined;
+    };
+};
+/**
+ * Network error that was thrown instead of a response, with the properties of the node.js system error
+ */
+export type SnapshotNetworkError = {
+    /**
+     * e.g. 'Error'
+     */
+    name: string;
+    message: string;
+    /**
+     * e.g. ECONNRESET, ENOTFOUND, ETIMEDOUT, CERT_HAS_EXPIRED
+     */
+    code: string;
+    errno?: number | undefined;
+    syscall?: string | undefined;
+    hostname?: string | undefined;
+    address?: string | undefined;
+    port?: number | undefined;
+};
+/**
+ * Request that failed with a network error (connection reset, DNS failure, timeout, TLS failure)
+ */
+export type SnapshotError = {
+    fileSuffixKey: string;
+    requestType: 'json' | 'text' | 'base64' | 'form';
+    request: {
+        method: string;
+        url: string;
+        headers: string[][];
+        body: string | object | undefined;
+    };
+    responseType: 'error';
+    response: {
+        status: 0;
+        statusText: string;
+        headers: string[][];
+        body?: undefined;
+        error: SnapshotNetworkError;
+    };
+};
+/**
+ * A message of a WebSocket conversation, or the server closing the connection. Binary messages are
+ * stored as base64.
+ */
+export type WebSocketFrame = ({
+    text: string;
+} | {
+    base64: string;
+} | {
+    close: {
+        code: number;
+        reason: string;
+    };
+}) & {
+    from: 'client' | 'server';
+};
+/**
+ * WebSocket conversation, keyed by the connection URL
+ */
+export type SnapshotWebSocket = {
+    fileSuffixKey: string;
+    requestType: 'json' | 'text' | 'base64' | 'form';
+    request: {
+        method: string;
+        url: string;
+        headers: string[][];
+        body: string | object | undefined;
+    };
+    responseType: 'websocket';
+    response: {
+        status: 101;
+        statusText: string;
+        headers: string[][];
+        body: WebSocketFrame[];
+    };
+};
+/**
+ * Timings of snapshots imported from a HAR file, in milliseconds (check importHar())
+ */
+export type SnapshotTimings = {
+    /**
+     * ISO 8601 date
+     */
+    startedDateTime: string;
+    /**
+     * Total time of the request
+     */
+    time: number;
+    blocked?: number | undefined;
+    dns?: number | undefined;
+    connect?: number | undefined;
+    ssl?: number | undefined;
+    send: number;
+    wait: number;
+    receive: number;
+};
+export type SnapshotMetadata = {
+    /**
+     * ISO 8601 date the snapshot was recorded (or imported) at
+     */
+    recordedAt?: string | undefined;
+    /**
+     * Version of http-snapshotter that recorded the snapshot
+     */
+    version?: string | undefined;
+    timings?: SnapshotTimings | undefined;
+};
+export type Snapshot = (SnapshotText | SnapshotJson | SnapshotBase64 | SnapshotStream | SnapshotError | SnapshotWebSocket) & SnapshotMetadata;
+export type StreamingOptions = {
+    /**
+     * Response content types to record chunk by chunk, in addition
+     * to text/event-stream and newline delimited JSON
+     */
+    contentTypes?: (string | RegExp)[] | undefined;
+    /**
+     * Record the delay between chunks, so that they are replayed at the same pace
+     */
+    recordTiming?: boolean | undefined;
+};
+/**
+ * What to do once a test case has replayed every recorded response of a response sequence.
+ * `false` disables response sequences i.e. identical requests share a single snapshot file.
+ */
+export type ResponseSequence = false | 'repeat-last' | 'cycle' | 'fail';
+export type VerifyOptions = {
+    /**
+     * Response headers to compare in verify mode. Defaults to content-type.
+     */
+    headers?: string[] | undefined;
+    /**
+     * JSON paths of response body values that are expected to change
+     * between calls (e.g. `$.requestId`, `$.items[*].updatedAt`)
+     */
+    ignoreBodyPaths?: string[] | undefined;
+};
+export type DriftDifference = {
+    kind: 'status' | 'header' | 'body';
+    /**
+     * Header name or JSON path of the body value (`$` for whole body)
+     */
+    path: string;
+    /**
+     * Value in the snapshot file
+     */
+    expected: any;
+    /**
+     * Value in the live response
+     */
+    actual: any;
+};
+export type SnapshotDrift = {
+    /**
+     * Snapshot file, relative to snapshot directory
+     */
+    fileName: string;
+    request: {
+        method: string;
+        url: string;
+    };
+    /**
+     * There is no snapshot for this request
+     */
+    missingSnapshot: boolean;
+    differences: DriftDifference[];
+};
+/**
+ * Which requests a fault applies to: URL prefix, URL regex, method and URL, or a function that receives
+ * the Request object (don't consume its body)
+ */
+export type FaultMatcher = string | RegExp | {
+    method?: string | undefined;
+    url?: string | RegExp | undefined;
+} | ((req: Request) => boolean);
+export type Fault = {
+    /**
+     * Respond with this status code (and no body) instead of the snapshot
+     */
+    status?: number | undefined;
+    /**
+     * Fail the request with this network error code e.g. ECONNRESET, ENOTFOUND, ETIMEDOUT
+     */
+    error?: string | undefined;
+    /**
+     * Delay the request by this many milliseconds
+     */
+    delayMs?: number | undefined;
+    /**
+     * Error the replayed response body after this many bytes
+     */
+    truncateBodyAt?: number | undefined;
+    /**
+     * Only apply to the next n matching requests. Defaults to every matching request.
+     */
+    times?: number | undefined;
+};
+export type FaultRule = {
+    matcher: FaultMatcher;
+    fault: Fault;
+    /**
+     * Number of matching requests the fault still applies to
+     */
+    remaining: number;
+};
+/**
+ * A request made while the interceptor was running (check getRecordedRequests())
+ */
+export type RecordedRequest = {
+    method: string;
+    url: string;
+    headers: Record<string, string>;
+    /**
+     * Parsed JSON body, form fields (check SnapshotForm), text, or base64 for binary bodies.
+     * undefined if the request has no body.
+     */
+    body: any;
+    /**
+     * Test case (directory name) the request was made in
+     */
+    testCase: string;
+    /**
+     * Snapshot file of the request, relative to snapshot directory
+     */
+    snapshotFile?: string | undefined;
+    /**
+     * 'hit' when answered from a snapshot,
+     * 'miss' when it failed for lack of a (usable) snapshot, 'live' when it went to the network, 'ignored' when
+     * it matched the ignore rules and 'fault' when answered by an injected fault
+     */
+    outcome: 'hit' | 'miss' | 'live' | 'ignored' | 'fault';
+};
+/**
+ * Which recorded requests to assert on: URL prefix, URL regex, method / URL / body, or a function that
+ * receives the recorded request. `body` matches when the recorded (JSON) body contains the given values.
+ */
+export type RequestMatcher = string | RegExp | {
+    method?: string | undefined;
+    url?: string | RegExp | undefined;
+    body?: any;
+} | ((req: RecordedRequest) => boolean);
 export type DiffChange = import('diff').Change;
+/**
+ * A request in the run report
+ */
+export type ReportedRequest = {
+    /**
+     * Test case (directory name) the request was made in
+     */
+    testCase: string;
+    method: string;
+    /**
+     * With query params of the redaction rules redacted
+     */
+    url: string;
+    /**
+     * Snapshot file of the request, relative to snapshot directory
+     */
+    snapshotFile?: string | undefined;
+    /**
+     * Same as the outcome of
+     * RecordedRequest, except that requests that went to the network and got their snapshot written are 'written'
+     */
+    outcome: 'hit' | 'miss' | 'written' | 'ignored' | 'live' | 'fault';
+    /**
+     * Closest existing snapshot file of a
+     * missed request (read mode only), relative to snapshot directory
+     */
+    closestMatch?: {
+        file: string;
+        fileSuffixKey: string;
+    } | undefined;
+};
+export type ReportTotals = Record<ReportedRequest['outcome'], number> & {
+    requests: number;
+};
+/**
+ * Snapshot hits, misses and writes of a run (check the report option of start())
+ */
+export type RunReport = {
+    /**
+     * ISO 8601 date
+     */
+    createdAt: string;
+    /**
+     * Version of http-snapshotter
+     */
+    version: string;
+    /**
+     * Snapshot mode of the run (test cases can have their own)
+     */
+    mode: SnapshotMode;
+    snapshotDirectory: string | null;
+    totals: ReportTotals;
+    /**
+     * Totals per host (with port, if any)
+     */
+    hosts: Record<string, ReportTotals>;
+    /**
+     * In the order they were made
+     */
+    requests: ReportedRequest[];
+};
+/**
+ * Volatile request values (timestamps, idempotency keys, nonces) to leave out of the snapshot key
+ */
+export type KeyIgnoreRule = {
+    /**
+     * Hostname the rule applies to. Defaults to all hosts.
+     */
+    host?: string | RegExp | undefined;
+    /**
+     * HTTP method the rule applies to (case-insensitive). Defaults to all methods.
+     */
+    method?: string | undefined;
+    /**
+     * JSON paths of request body values e.g. `$.requestId`, `$.items[*].ts`
+     */
+    jsonPaths?: string[] | undefined;
+    /**
+     * URL query parameter names
+     */
+    queryParams?: string[] | undefined;
+};
+export type PathTemplate = {
+    /**
+     * Hostname the template applies to. Defaults to all hosts.
+     */
+    host?: string | RegExp | undefined;
+    /**
+     * e.g. `/users/:id/orders`. `:name` segments match any value.
+     */
+    template: string;
+};
+export type UrlNormalizationOptions = {
+    /**
+     * Sort query params, so that their order doesn't change the snapshot key
+     */
+    sortQueryParams?: boolean | undefined;
+    /**
+     * Query params to leave out of the snapshot key
+     * (e.g. cache busters), by hostname. Use '*' for all hosts.
+     */
+    ignoreQueryParams?: Record<string, string[]> | undefined;
+    /**
+     * Path templates used for the file name prefix instead of
+     * the concrete path. The concrete values are still part of the snapshot key.
+     */
+    pathTemplates?: (string | PathTemplate)[] | undefined;
+};
+/**
+ * A test case started with startTestCase() or withTestCase(). When filename generator or ignore
+ * rules aren't set, the globally attached ones are used.
+ */
+export type TestCase = {
+    /**
+     * Sub directory of the snapshot directory
+     */
+    directoryName: string;
+    snapshotFileNameGenerator?: ((req: Request) => Promise<{
+        filePrefix: string;
+        fileSuffixKey: string;
+    }>) | undefined;
+    snapshotIgnoreRules?: ((req: Request) => boolean) | undefined;
+    responseSequence?: ResponseSequence | undefined;
+    mode?: SnapshotMode | undefined;
+    /**
+     * Number of times an identical request was made in the
+     * test case, keyed by the absolute path of the first snapshot file of the response sequence
+     */
+    sequenceCounters: Map<string, number>;
+    /**
+     * Faults injected with injectFault()
+     */
+    faults?: FaultRule[] | undefined;
+    /**
+     * Errors of requests that couldn't be answered from snapshots
+     */
+    errors?: Error[] | undefined;
+    /**
+     * Snapshot files (relative to snapshot directory) the test case read or
+     * recorded
+     */
+    usedFiles: Set<string>;
+};
+/**
+ * A single fetch() / http.request() call, so that the request listener knows how the caller receives
+ * network errors and the caller's error can be recorded for the intercepted request
+ */
+export type Caller = {
+    source: 'fetch' | 'http';
+    /**
+     * Set when the
+     * request goes to the network and a network error should be recorded
+     */
+    pendingSnapshot?: {
+        request: Request;
+        snapshotFileInfo: SnapshotFileInfo;
+    } | undefined;
+};
+export type RedactionRules = {
+    /**
+     * Request and response header names (case-insensitive)
+     */
+    headers?: string[] | undefined;
+    /**
+     * URL query parameter names (case-insensitive). Also applies
+     * to the fields of form request bodies (application/x-www-form-urlencoded and multipart/form-data).
+     */
+    queryParams?: string[] | undefined;
+    /**
+     * JSON paths in request body e.g. `$.password`, `$.items[*].token`
+     */
+    requestBodyPaths?: string[] | undefined;
+    /**
+     * JSON paths in response body
+     */
+    responseBodyPaths?: string[] | undefined;
+    /**
+     * Whether to also apply defaultRedactionRules. Defaults to true.
+     */
+    includeDefaults?: boolean | undefined;
+};
 export type ReadSnapshotReturnType = Promise<{
     snapshot: Snapshot;
     absoluteFilePath: string;
     fileName: string;
 }>;
+/**
+ * Subset of HAR 1.2 format (http://www.softwareishard.com/blog/har-12-spec/) used by importHar() / exportHar()
+ */
+export type HarHeader = {
+    name: string;
+    value: string;
+};
+/**
+ * Subset of HAR 1.2 format (http://www.softwareishard.com/blog/har-12-spec/) used by importHar() / exportHar()
+ */
+export type HarParam = {
+    name: string;
+    value?: string;
+    fileName?: string;
+    contentType?: string;
+};
+/**
+ * Subset of HAR 1.2 format (http://www.softwareishard.com/blog/har-12-spec/) used by importHar() / exportHar()
+ */
+export type HarEntry = {
+    startedDateTime: string;
+    time: number;
+    request: {
+        method: string;
+        url: string;
+        httpVersion?: string | undefined;
+        headers: HarHeader[];
+        queryString?: HarHeader[] | undefined;
+        cookies?: HarHeader[] | undefined;
+        headersSize?: number | undefined;
+        bodySize?: number | undefined;
+        postData?: {
+            mimeType: string;
+            text?: string | undefined;
+            encoding?: string | undefined;
+            params?: HarParam[] | undefined;
+        } | undefined;
+    };
+    response: {
+        status: number;
+        statusText: string;
+        httpVersion?: string | undefined;
+        headers: HarHeader[];
+        cookies?: HarHeader[] | undefined;
+        content: {
+            size: number;
+            mimeType: string;
+            text?: string;
+            encoding?: string;
+        };
+        redirectURL?: string | undefined;
+        headersSize?: number | undefined;
+        bodySize?: number | undefined;
+        _error?: string | undefined;
+    };
+    timings: Omit<SnapshotTimings, 'startedDateTime' | 'time'>;
+    /**
+     * Messages of a WebSocket connection, in the format of browser devtools
+     */
+    _webSocketMessages?: {
+        type: 'send' | 'receive';
+        time: number;
+        opcode: number;
+        data: string;
+    }[] | undefined;
+};
+/**
+ * Subset of HAR 1.2 format (http://www.softwareishard.com/blog/har-12-spec/) used by importHar() / exportHar()
+ */
+export type Har = {
+    log: {
+        version: string;
+        creator: {
+            name: string;
+            version: string;
+        };
+        entries: HarEntry[];
+    };
+};
 export type ClientRequestInterceptorType = import('@mswjs/interceptors/ClientRequest').ClientRequestInterceptor;
 export type FetchInterceptorType = import('@mswjs/interceptors/fetch').FetchInterceptor;
+export type XMLHttpRequestInterceptorType = import('@mswjs/interceptors/XMLHttpRequest').XMLHttpRequestInterceptor;
 /**
  * Write/read snapshots to/from a sub directory. This isolates snapshots for a test.
  * @param {string} directoryName Directory name relative to snapshot directory. It will be created if it doesn't exist.
+ * @param {object} [opts]
+ * @param {ResponseSequence} [opts.responseSequence] Override the response sequence behavior passed to start()
+ * for this test case
+ * @param {SnapshotMode} [opts.mode] Snapshot mode for this test case, regardless of SNAPSHOT env variable.
+ * e.g. 'ignore' for a test that should always make real network requests.
+ */
+export function startTestCase(directoryName: string, { responseSequence, mode }?: {
+    responseSequence?: ResponseSequence | undefined;
+    mode?: SnapshotMode | undefined;
+} | undefined): void;
+/**
+ * Reset the directory to the root directory.
+ * Checks the test case for unused snapshot files, when configured with the unusedSnapshots option
+ * of start(). With onEndTestCase: 'fail' it throws when there are any.
+ * @param {object} [opts]
+ * @param {boolean} [opts.failed] Whether the test failed. Unused snapshot files aren't checked then, as
+ * a test that failed midway didn't make all of its requests.
+ * @returns {Error[]} Errors of requests that couldn't be answered from snapshots during the test case
+ * (e.g. missing snapshot, which the caller receives as a 500 response). Test runner integrations fail
+ * the test with these.
+ */
+export function endTestCase({ failed }?: {
+    failed?: boolean | undefined;
+} | undefined): Error[];
+/**
+ * Run a test case function with snapshots written/read to/from a sub directory.
+ *
+ * Unlike startTestCase() / endTestCase(), the test case is carried through the async context of `fn`
+ * (using AsyncLocalStorage). So test cases can run concurrently within the same process (e.g. node:test
+ * or ava concurrent tests). Filename generator and ignore rules attached from within `fn` only apply
+ * to this test case as well.
+ * @template T
+ * @param {string} directoryName Directory name relative to snapshot directory. It will be created if it doesn't exist.
+ * @param {() => T} fn Test case function. Its return value (e.g. a promise) is returned.
+ * @param {object} [opts]
+ * @param {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>} [opts.snapshotFileNameGenerator]
+ * Filename generator for this test case only
+ * @param {(req: Request) => boolean} [opts.snapshotIgnoreRules] Ignore rules for this test case only
+ * @param {ResponseSequence} [opts.responseSequence] Override the response sequence behavior passed to start()
+ * for this test case
+ * @param {SnapshotMode} [opts.mode] Snapshot mode for this test case, regardless of SNAPSHOT env variable
+ * @returns {T} Unused snapshot files are checked (check the unusedSnapshots option of start()) once `fn`
+ * returns or its promise resolves. Not when it throws or its promise rejects.
+ */
+export function withTestCase<T>(directoryName: string, fn: () => T, { snapshotFileNameGenerator: testCaseFileNameGenerator, snapshotIgnoreRules: testCaseIgnoreRules, responseSequence, mode, }?: {
+    snapshotFileNameGenerator?: ((req: Request) => Promise<{
+        filePrefix: string;
+        fileSuffixKey: string;
+    }>) | undefined;
+    snapshotIgnoreRules?: ((req: Request) => boolean) | undefined;
+    responseSequence?: ResponseSequence | undefined;
+    mode?: SnapshotMode | undefined;
+} | undefined): T;
+/**
+ * Start a test run whose workers use `multiWorker: true`. Call this once before the workers start
+ * (e.g. from the global setup of your test runner). The workers inherit the run ID through the
+ * HTTP_SNAPSHOTTER_RUN_ID environment variable, so that finalizeUnusedSnapshots() only merges the
+ * usage of this run, and not what an earlier aborted run left behind.
+ * @returns {string} Run ID. An HTTP_SNAPSHOTTER_RUN_ID that is already set is kept.
+ */
+export function startMultiWorkerRun(): string;
+/**
+ * Merge the snapshot file usage recorded by every worker (started with `multiWorker: true`) and
+ * write the unused snapshots log for the whole test run. Call this once after all workers have
+ * exited (e.g. from the global teardown of your test runner), in the process that called
+ * startMultiWorkerRun(). The usage records of the run are removed afterwards.
+ * @param {string} snapshotDirectory Full absolute path to snapshot directory
+ * @param {object} [opts]
+ * @param {string} [opts.unusedSnapshotsLogFile] Same as `unusedSnapshotsLogFile` option of start()
+ * @returns {Promise<string[]>} unused snapshot files, relative to the snapshot directory
+ */
+export function finalizeUnusedSnapshots(snapshotDirectory: string, { unusedSnapshotsLogFile: logFile, }?: {
+    unusedSnapshotsLogFile?: string | undefined;
+} | undefined): Promise<string[]>;
+/**
+ * @typedef SnapshotDirectoryEntry
+ * @property {string} fileName Path relative to the snapshot directory
+ * @property {string} absoluteFilePath
+ * @property {string} testCase Test case (sub directory) the snapshot belongs to. Empty string for the root directory.
+ * @property {number} size File size in bytes
+ * @property {Snapshot} snapshot
+ */
+/**
+ * Read every snapshot file of a snapshot directory. Useful for tooling built on top of snapshot files.
+ * @param {string} dir Full absolute path to snapshot directory
+ * @returns {Promise<SnapshotDirectoryEntry[]>} sorted by file name
  */
-export function startTestCase(directoryName: string): void;
+export function readSnapshotDirectory(dir: string): Promise<SnapshotDirectoryEntry[]>;
 /**
- * Reset the directory to the root directory
+ * @typedef RekeyResult
+ * @property {{ from: string, to: string, fromFileSuffixKey: string, toFileSuffixKey: string }[]} renamed
+ * Files that were renamed (or would be, with dryRun)
+ * @property {{ to: string, files: string[] }[]} collisions Files that would end up with the same name,
+ * or with the name of another existing file. These are left as they are.
+ * @property {{ file: string, reason: string }[]} skipped Files that couldn't be re-keyed
+ * @property {number} unchanged Number of files whose name is still the same
  */
-export function endTestCase(): void;
+/**
+ * Re-key existing snapshots after changing the filename generator (or after upgrading to a version
+ * whose default generator changed). Each snapshot's request is rebuilt from the snapshot file and run
+ * through the current filename generator. Files whose name changed are renamed, and their fileSuffixKey
+ * updated.
+ * @param {string} dir Full absolute path to snapshot directory
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] Only report what would be renamed
+ * @param {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>} [opts.snapshotFileNameGenerator]
+ * Generator to use. Defaults to the currently attached generator.
+ * @returns {Promise<RekeyResult>}
+ */
+export function rekeySnapshots(dir: string, { dryRun, snapshotFileNameGenerator: generator, }?: {
+    dryRun?: boolean | undefined;
+    snapshotFileNameGenerator?: ((req: Request) => Promise<{
+        filePrefix: string;
+        fileSuffixKey: string;
+    }>) | undefined;
+} | undefined): Promise<RekeyResult>;
+/**
+ * Convert the entries of a HAR file (e.g. exported from browser devtools or a proxy) into snapshot files.
+ * File names come from the active filename generator, same as recorded snapshots. Redaction rules of
+ * start() are applied.
+ * @param {Har} har Parsed HAR file
+ * @param {string} dir Full absolute path to snapshot directory
+ * @param {object} [opts]
+ * @param {string} [opts.testCase] Test case (sub directory) to write the snapshots into
+ * @param {boolean} [opts.responseSequence] Write repeats of an identical request as a response sequence
+ * (check `responseSequence` option of start()). By default only the first of identical requests is imported.
+ * @param {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>} [opts.snapshotFileNameGenerator]
+ * Generator to use. Defaults to the currently attached generator.
+ * @returns {Promise<{ written: string[], skipped: { url: string, reason: string }[] }>}
+ */
+export function importHar(har: Har, dir: string, { testCase, responseSequence, snapshotFileNameGenerator: generator, }?: {
+    testCase?: string | undefined;
+    responseSequence?: boolean | undefined;
+    snapshotFileNameGenerator?: ((req: Request) => Promise<{
+        filePrefix: string;
+        fileSuffixKey: string;
+    }>) | undefined;
+} | undefined): Promise<{
+    written: string[];
+    skipped: {
+        url: string;
+        reason: string;
+    }[];
+}>;
+/**
+ * Export snapshots to HAR format, e.g. to inspect them in browser devtools
+ * @param {string} dir Full absolute path to snapshot directory
+ * @param {object} [opts]
+ * @param {string} [opts.testCase] Only export snapshots of this test case (sub directory)
+ * @returns {Promise<Har>}
+ */
+export function exportHar(dir: string, { testCase }?: {
+    testCase?: string | undefined;
+} | undefined): Promise<Har>;
+/**
+ * Differences found between live responses and snapshots since start(), in verify mode (SNAPSHOT=verify,
+ * or the mode of a test case)
+ * @returns {SnapshotDrift[]}
+ */
+export function getSnapshotDrift(): SnapshotDrift[];
+/**
+ * Inject a fault into matching requests of the current test case, to test retries, timeouts and
+ * error handling without editing snapshot files. Faults are applied before the snapshot is read:
+ * - `status`: respond with the status code (and no body) instead of the snapshot
+ * - `error`: fail the request with a network error e.g. ECONNRESET, same as a recorded network error
+ * - `delayMs`: wait before replaying the snapshot (or making the real request)
+ * - `truncateBodyAt`: error the replayed response body after the given number of bytes
+ *
+ * Faulted responses are never written to snapshot files. Faults are cleared by endTestCase() (or
+ * at the end of withTestCase()) and clearFaults().
+ *
+ * e.g. injectFault('https://api.example.com/orders', { status: 503, times: 2 })
+ * @param {FaultMatcher} matcher
+ * @param {Fault} fault
+ * @returns {() => void} function to remove the fault
+ */
+export function injectFault(matcher: FaultMatcher, fault: Fault): () => void;
+/**
+ * Remove the faults injected into the current test case
+ */
+export function clearFaults(): void;
+/**
+ * Requests made within a test case (since it was last started) or made outside of test cases (the latest 100), in
+ * the order they were made. Includes requests answered from snapshots.
+ * @param {object} [opts]
+ * @param {string} [opts.testCase] Test case (directory name). Defaults to the current test case.
+ * @returns {RecordedRequest[]}
+ */
+export function getRecordedRequests({ testCase }?: {
+    testCase?: string | undefined;
+} | undefined): RecordedRequest[];
+/**
+ * Forget the requests recorded so far, of all test cases
+ */
+export function clearRecordedRequests(): void;
+/**
+ * Assert on the requests made by the code under test, e.g. that a webhook was sent exactly once with a
+ * given payload, even when its response came from a snapshot.
+ *
+ * e.g. expectRequest({ method: 'POST', url: 'https://hooks.example.com/', body: { event: 'paid' } }).toHaveBeenCalledTimes(1)
+ * @param {RequestMatcher} matcher
+ * @param {object} [opts]
+ * @param {string} [opts.testCase] Test case (directory name) whose requests to check. Defaults to the current test case.
+ */
+export function expectRequest(matcher: RequestMatcher, { testCase }?: {
+    testCase?: string | undefined;
+} | undefined): {
+    /** Matching requests made so far */
+    readonly requests: RecordedRequest[];
+    toHaveBeenCalled(): void;
+    /** @param {number} times */
+    toHaveBeenCalledTimes(times: number): void;
+    /**
+     * At least one matching request has a body containing the given values
+     * @param {any} body
+     */
+    toHaveBeenCalledWith(body: any): void;
+    not: {
+        toHaveBeenCalled(): void;
+    };
+};
+/**
+ * Snapshot hits, misses and writes of the requests made since start(). Written to the `report` file
+ * passed to start() at exit.
+ * @returns {RunReport}
+ */
+export function getRunReport(): RunReport;
+/**
+ * Snapshot mode that applies to the current test case. In order of precedence:
+ * 1. `mode` option of the test case (startTestCase() / withTestCase())
+ * 2. setMode()
+ * 3. SNAPSHOT environment variable
+ * 4. `mode` option of start()
+ * 5. 'read'
+ * @returns {SnapshotMode}
+ */
+export function getMode(): SnapshotMode;
+/**
+ * Override the snapshot mode from code, e.g. for tooling built on top of this library.
+ * Pass undefined to go back to SNAPSHOT environment variable / `mode` option of start().
+ * @param {SnapshotMode | undefined} mode
+ */
+export function setMode(mode: SnapshotMode | undefined): void;
 /**
  * @param {Request} request
  */
@@ -84,8 +977,10 @@ export function defaultSnapshotFileNameGenerator(request: Request): Promise<{
  * 2. if a specific test does not use the default snapshot, you can prefix the snapshot
  * file name for the test.
  *
- * WARNING: Attaching a function on a per-test basis may not be concurrent safe. i.e. If you tests
- * run sequentially, then it is safe. But if your test runner runs test suites concurrently,
+ * When called within withTestCase(), the function is only attached to that test case.
+ *
+ * WARNING: Attaching a function on a per-test basis (outside withTestCase()) may not be concurrent safe.
+ * i.e. If you tests run sequentially, then it is safe. But if your test runner runs test suites concurrently,
  * then it is better to attach a function only once ever.
  * @param {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>} func
  */
@@ -93,7 +988,10 @@ export function attachSnapshotFilenameGenerator(func: (req: Request) => Promise<
     filePrefix: string;
     fileSuffixKey: string;
 }>): void;
-/** Reset snapshot filename generator to default */
+/**
+ * Reset snapshot filename generator to default.
+ * Within withTestCase(), the test case goes back to using the globally attached generator.
+ */
 export function resetSnapshotFilenameGenerator(): void;
 /**
  * Default snapshot ignore rules - by default no requests are ignored
@@ -117,21 +1015,85 @@ export function defaultSnapshotIgnoreRules(_request: Request): boolean;
  * 3. Ignore requests with specific HTTP methods
  * 4. Ignore requests based on request body content
  *
- * WARNING: Attaching a function on a per-test basis may not be concurrent safe. i.e. If your tests
- * run sequentially, then it is safe. But if your test runner runs test suites concurrently,
+ * When called within withTestCase(), the function is only attached to that test case.
+ *
+ * WARNING: Attaching a function on a per-test basis (outside withTestCase()) may not be concurrent safe.
+ * i.e. If your tests run sequentially, then it is safe. But if your test runner runs test suites concurrently,
  * then it is better to attach a function only once ever.
  * @param {(req: Request) => boolean} func
  */
 export function attachSnapshotIgnoreRules(func: (req: Request) => boolean): void;
-/** Reset snapshot ignore rules to default (no requests ignored) */
+/**
+ * Reset snapshot ignore rules to default (no requests ignored).
+ * Within withTestCase(), the test case goes back to using the globally attached rules.
+ */
 export function resetSnapshotIgnoreRules(): void;
+/**
+ * @typedef RedactionRules
+ * @property {string[]} [headers] Request and response header names (case-insensitive)
+ * @property {string[]} [queryParams] URL query parameter names (case-insensitive). Also applies
+ * to the fields of form request bodies (application/x-www-form-urlencoded and multipart/form-data).
+ * @property {string[]} [requestBodyPaths] JSON paths in request body e.g. `$.password`, `$.items[*].token`
+ * @property {string[]} [responseBodyPaths] JSON paths in response body
+ * @property {boolean} [includeDefaults] Whether to also apply defaultRedactionRules. Defaults to true.
+ */
+/**
+ * Secrets that are redacted from snapshot files unless opted out with `includeDefaults: false`
+ * @type {Required<Omit<RedactionRules, 'includeDefaults'>>}
+ */
+export const defaultRedactionRules: Required<Omit<RedactionRules, 'includeDefaults'>>;
 /**
  * Start the interceptor
  * @param {object} opts
  * @param {string|null} opts.snapshotDirectory Full absolute path to snapshot directory
+ * @param {RedactionRules|false} [opts.redact] Extra secrets to replace with a placeholder before snapshots
+ * are written (on top of defaultRedactionRules). Pass false to write snapshots as received.
+ * @param {StreamingOptions} [opts.streaming] Which responses are recorded chunk by chunk and whether
+ * to record timing between chunks
+ * @param {SnapshotMode} [opts.mode] Snapshot mode to use when SNAPSHOT env variable isn't set. Defaults to 'read'.
+ * @param {KeyIgnoreRule[]} [opts.keyIgnore] Volatile request values to leave out of snapshot file names
+ * (applied by defaultSnapshotFileNameGenerator)
+ * @param {UrlNormalizationOptions} [opts.urlNormalization] How URLs are normalized for snapshot file names
+ * (applied by defaultSnapshotFileNameGenerator)
+ * @param {UnusedSnapshotsOptions} [opts.unusedSnapshots] Per test case check for snapshot files the test
+ * case didn't use, done by endTestCase() / withTestCase()
+ * @param {StalenessOptions} [opts.staleness] When snapshots are considered stale. Stale snapshots are
+ * reported in read mode and re-recorded with SNAPSHOT=refresh-stale.
+ * @param {VerifyOptions} [opts.verify] What to compare in verify mode (SNAPSHOT=verify), where requests are
+ * made to the real network and the responses are compared with the existing snapshots
+ * @param {LogOptions} [opts.log] What to log, when LOG_REQ / LOG_SNAPSHOT env variables aren't set
+ * @param {string} [opts.report] Path of a JSON report (check getRunReport()) of the requests made and
+ * whether they were answered from snapshots, to write at exit. Relative to the current working directory,
+ * or absolute.
+ * @param {string} [opts.unusedSnapshotsLogFile] Path to the unused snapshots log file, relative to snapshot
+ * directory or absolute. Defaults to 'unused-snapshots.log'.
+ * @param {boolean} [opts.xhr] Intercept XMLHttpRequest as well, in test environments that have it (e.g. jsdom,
+ * happy-dom). Call start() once the environment has set up the global XMLHttpRequest. Defaults to false.
+ * @param {boolean} [opts.multiWorker] Set this when tests run in multiple processes / worker threads
+ * (e.g. jest, vitest, node --test). Each worker then records which snapshot files it read.
+ * startMultiWorkerRun() has to be called before the workers start, and finalizeUnusedSnapshots() after
+ * all workers exit to write the unused snapshots log.
+ * @param {ResponseSequence} [opts.responseSequence] Record repeats of an identical request within a test
+ * case as an ordered sequence of snapshot files, and replay them in the same order. The value decides
+ * what happens once the sequence runs out: 'repeat-last', 'cycle' or 'fail'. Defaults to false (one
+ * snapshot file per request).
  */
-export function start({ snapshotDirectory: _snapshotDirectory, }?: {
+export function start({ snapshotDirectory: _snapshotDirectory, responseSequence, redact, streaming, mode, verify, staleness, unusedSnapshots, keyIgnore, urlNormalization: _urlNormalization, log, unusedSnapshotsLogFile: _unusedSnapshotsLogFile, report, xhr, multiWorker: _multiWorker, }?: {
     snapshotDirectory: string | null;
+    redact?: false | RedactionRules | undefined;
+    streaming?: StreamingOptions | undefined;
+    mode?: SnapshotMode | undefined;
+    keyIgnore?: KeyIgnoreRule[] | undefined;
+    urlNormalization?: UrlNormalizationOptions | undefined;
+    unusedSnapshots?: UnusedSnapshotsOptions | undefined;
+    staleness?: StalenessOptions | undefined;
+    verify?: VerifyOptions | undefined;
+    log?: LogOptions | undefined;
+    report?: string | undefined;
+    unusedSnapshotsLogFile?: string | undefined;
+    xhr?: boolean | undefined;
+    multiWorker?: boolean | undefined;
+    responseSequence?: ResponseSequence | undefined;
 }): void;
 /** Stop the interceptor */
 export function stop(): void;
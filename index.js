@@ -4,7 +4,7 @@
  * Place file in directory as tests and add `require('./snapshotter').start()` before tests begin
  *
  * WARNING: This snapshotter is not thread-safe. Only will work with test runners like tape where
- * tests run on single threads.
+ * tests run on single threads. Use withTestCase() for tests that run concurrently within a process.
  *
  * Run tests with environment variable SNAPSHOT=update first time to create snapshots
  * SNAPSHOT=update <test runner command>
@@ -20,6 +20,9 @@
  * use attachSnapshotIgnoreRules() to provide a function that receives the request object and
  * returns true if the request should be ignored from snapshotting.
  * 
+ * To replay different responses for repeats of an identical request (polling, retries), pass
+ * `responseSequence` option to start() or startTestCase().
+ *
  * Log read/saved snapshots by setting LOG_SNAPSHOT=1 env variable.
  *
  * Unused snapshot files will be written into a log file named 'unused-snapshots.log'.
@@ -34,31 +37,167 @@
 const { BatchInterceptor, RequestController } = require('@mswjs/interceptors');
 const { ClientRequestInterceptor } = require('@mswjs/interceptors/ClientRequest');
 const { FetchInterceptor } = require('@mswjs/interceptors/fetch');
+const { WebSocketInterceptor } = require('@mswjs/interceptors/WebSocket');
+const { XMLHttpRequestInterceptor } = require('@mswjs/interceptors/XMLHttpRequest');
 const slugify = require('@sindresorhus/slugify');
-const { createHash } = require('node:crypto');
-const { promises: fs } = require('node:fs');
-const { resolve, dirname, relative, basename, join } = require('node:path');
+const { createHash, randomBytes } = require('node:crypto');
+const { promises: fs, readdirSync, unlinkSync } = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+const { resolve, dirname, relative, basename, join, sep } = require('node:path');
 const zlib = require('node:zlib');
-const { promisify } = require('node:util');
+const { promisify, getSystemErrorMap } = require('node:util');
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { threadId } = require('node:worker_threads');
+const { setTimeout } = require('node:timers/promises');
+const { AssertionError } = require('node:assert');
 const { diffChars } = require('diff');
+const { version: packageVersion } = require('./package.json');
 
 const gzip = promisify(zlib.gzip);
 const brotliCompress = promisify(zlib.brotliCompress);
 const deflate = promisify(zlib.deflate);
 
-// Environment variable SNAPSHOT = update / append / ignore / read (default)
-const SNAPSHOT = process.env.SNAPSHOT || 'read';
-const { LOG_REQ, LOG_SNAPSHOT } = process.env;
-const unusedSnapshotsLogFile = 'unused-snapshots.log';
+/** @typedef {'read' | 'update' | 'append' | 'ignore' | 'verify' | 'refresh-stale'} SnapshotMode */
+const snapshotModes = ['read', 'update', 'append', 'ignore', 'verify', 'refresh-stale'];
+
+/**
+ * @typedef StalenessOptions
+ * @property {number|string} [maxAge] Age after which a snapshot is stale, in milliseconds or as a string
+ * like '90d', '12h', '30m'. Snapshots recorded before recordedAt was tracked are always stale.
+ * @property {'warn' | 'fail'} [onStale] What to do when a stale snapshot is read in read mode.
+ * Defaults to 'warn'.
+ */
+
+/**
+ * @typedef UnusedSnapshotsOptions
+ * @property {false | 'warn' | 'fail'} [onEndTestCase] What to do when endTestCase() finds snapshot files
+ * in the test case directory that the test case didn't read in read mode. 'fail' makes endTestCase() throw.
+ * Defaults to false.
+ * @property {boolean} [deleteOnUpdate] Delete the snapshot files of a test case that weren't re-recorded
+ * in update mode, at endTestCase(). Defaults to false.
+ */
+
+/**
+ * @typedef LogOptions
+ * @property {false | 'summary' | 'detailed'} [requests] Log requests (same as LOG_REQ=summary or LOG_REQ=detailed)
+ * @property {boolean} [snapshots] Log read/saved snapshots (same as LOG_SNAPSHOT=1)
+ */
+
+// Options passed to start(). Environment variables take precedence over these.
+/** @type {SnapshotMode} */
+let startMode = 'read';
+/** @type {LogOptions} */
+let logOptions = {};
+let unusedSnapshotsLogFile = 'unused-snapshots.log';
+/** @type {StalenessOptions} */
+let stalenessOptions = {};
+/** @type {UnusedSnapshotsOptions} */
+let unusedSnapshotsOptions = {};
+/** @type {string | undefined} */
+let reportFile;
+// Set by setMode(). Takes precedence over environment variable.
+/** @type {SnapshotMode | undefined} */
+let overriddenMode;
+// Directory (within snapshot directory) where each worker records the snapshot files it has read,
+// in a sub directory per test run
+const usageShardsDirectory = '.usage-shards';
+// Set by startMultiWorkerRun() in the process that starts the workers, which inherit it
+const runIdEnvVariable = 'HTTP_SNAPSHOTTER_RUN_ID';
+let multiWorker = false;
 /**
  * @type {string | null}
  */
 let snapshotDirectory = null;
 
+/**
+ * @param {any} mode
+ */
+function assertValidMode(mode) {
+  if (mode !== undefined && !snapshotModes.includes(mode)) {
+    throw new Error(`Invalid snapshot mode '${mode}'. Valid modes are: ${snapshotModes.join(', ')}`);
+  }
+}
+
+/**
+ * Snapshot mode that applies to the current test case. In order of precedence:
+ * 1. `mode` option of the test case (startTestCase() / withTestCase())
+ * 2. setMode()
+ * 3. SNAPSHOT environment variable
+ * 4. `mode` option of start()
+ * 5. 'read'
+ * @returns {SnapshotMode}
+ */
+function getMode() {
+  return getCurrentTestCase().mode
+    || overriddenMode
+    || /** @type {SnapshotMode | undefined} */ (process.env.SNAPSHOT)
+    || startMode;
+}
+
+/**
+ * Override the snapshot mode from code, e.g. for tooling built on top of this library.
+ * Pass undefined to go back to SNAPSHOT environment variable / `mode` option of start().
+ * @param {SnapshotMode | undefined} mode
+ */
+function setMode(mode) {
+  assertValidMode(mode);
+  overriddenMode = mode;
+}
+
+const durationUnits = {
+  ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * @param {number|string} duration Milliseconds, or a string like '90d'
+ * @returns {number} milliseconds
+ */
+function parseDuration(duration) {
+  if (typeof duration === 'number') return duration;
+  const match = duration.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)$/);
+  if (!match) {
+    throw new Error(`Invalid duration '${duration}'. Use milliseconds or a number with unit ms, s, m, h, d or w e.g. '90d'`);
+  }
+  return Number(match[1]) * durationUnits[/** @type {keyof durationUnits} */ (match[2])];
+}
+
+/**
+ * LOG_REQ environment variable takes precedence over `log.requests` option of start()
+ * @returns {string | false | undefined} 'summary' or 'detailed' when requests should be logged
+ */
+function getRequestLogLevel() {
+  const { LOG_REQ } = process.env;
+  if (LOG_REQ) return LOG_REQ === '1' ? 'summary' : LOG_REQ;
+  return logOptions.requests;
+}
+
+/**
+ * LOG_SNAPSHOT environment variable takes precedence over `log.snapshots` option of start()
+ */
+function shouldLogSnapshots() {
+  return process.env.LOG_SNAPSHOT ? true : Boolean(logOptions.snapshots);
+}
+
+/**
+ * File part of a multipart form body. Only the hash of the file contents is stored.
+ * @typedef SnapshotFormFile
+ * @property {string} filename
+ * @property {string} type Content type
+ * @property {number} size In bytes
+ * @property {string} sha256 Hex encoded hash of the contents
+ */
+
+/**
+ * Fields of an application/x-www-form-urlencoded or multipart/form-data request body, by name.
+ * Repeated fields are arrays, in the order they were sent.
+ * @typedef {Record<string, string | SnapshotFormFile | (string | SnapshotFormFile)[]>} SnapshotForm
+ */
+
 /**
  * @typedef SnapshotText
  * @property {string} fileSuffixKey
- * @property {'json'|'text'} requestType
+ * @property {'json'|'text'|'base64'|'form'} requestType
  * @property {object} request
  * @property {string} request.method
  * @property {string} request.url
@@ -74,7 +213,7 @@ let snapshotDirectory = null;
 /**
  * @typedef SnapshotJson
  * @property {string} fileSuffixKey
- * @property {'json'|'text'} requestType
+ * @property {'json'|'text'|'base64'|'form'} requestType
  * @property {object} request
  * @property {string} request.method
  * @property {string} request.url
@@ -89,14 +228,264 @@ let snapshotDirectory = null;
  */
 
 /**
- * @typedef {SnapshotText | SnapshotJson} Snapshot
+ * Binary response body, stored base64 encoded
+ * @typedef SnapshotBase64
+ * @property {string} fileSuffixKey
+ * @property {'json'|'text'|'base64'|'form'} requestType
+ * @property {object} request
+ * @property {string} request.method
+ * @property {string} request.url
+ * @property {string[][]} request.headers
+ * @property {string|object|undefined} request.body
+ * @property {'base64'} responseType
+ * @property {object} response
+ * @property {number} response.status
+ * @property {string} response.statusText
+ * @property {string[][]} response.headers
+ * @property {string|undefined} response.body
+ */
+
+/**
+ * A chunk of a streamed response body. Chunks that aren't valid UTF-8 are stored as base64.
+ * @typedef {({ text: string } | { base64: string }) & { delayMs?: number }} SnapshotChunk
+ */
+
+/**
+ * Streamed response body (e.g. server-sent events), stored chunk by chunk
+ * @typedef SnapshotStream
+ * @property {string} fileSuffixKey
+ * @property {'json'|'text'|'base64'|'form'} requestType
+ * @property {object} request
+ * @property {string} request.method
+ * @property {string} request.url
+ * @property {string[][]} request.headers
+ * @property {string|object|undefined} request.body
+ * @property {'stream'} responseType
+ * @property {object} response
+ * @property {number} response.status
+ * @property {string} response.statusText
+ * @property {string[][]} response.headers
+ * @property {SnapshotChunk[]} response.body
+ * @property {number} [response.abortAfterChunks] Error the replayed stream after this many chunks
+ */
+
+/**
+ * Network error that was thrown instead of a response, with the properties of the node.js system error
+ * @typedef SnapshotNetworkError
+ * @property {string} name e.g. 'Error'
+ * @property {string} message
+ * @property {string} code e.g. ECONNRESET, ENOTFOUND, ETIMEDOUT, CERT_HAS_EXPIRED
+ * @property {number} [errno]
+ * @property {string} [syscall]
+ * @property {string} [hostname]
+ * @property {string} [address]
+ * @property {number} [port]
+ */
+
+/**
+ * Request that failed with a network error (connection reset, DNS failure, timeout, TLS failure)
+ * @typedef SnapshotError
+ * @property {string} fileSuffixKey
+ * @property {'json'|'text'|'base64'|'form'} requestType
+ * @property {object} request
+ * @property {string} request.method
+ * @property {string} request.url
+ * @property {string[][]} request.headers
+ * @property {string|object|undefined} request.body
+ * @property {'error'} responseType
+ * @property {object} response
+ * @property {0} response.status
+ * @property {string} response.statusText
+ * @property {string[][]} response.headers
+ * @property {undefined} [response.body]
+ * @property {SnapshotNetworkError} response.error
+ */
+
+/**
+ * A message of a WebSocket conversation, or the server closing the connection. Binary messages are
+ * stored as base64.
+ * @typedef {({ text: string } | { base64: string } | { close: { code: number, reason: string } })
+ *  & { from: 'client' | 'server' }} WebSocketFrame
+ */
+
+/**
+ * WebSocket conversation, keyed by the connection URL
+ * @typedef SnapshotWebSocket
+ * @property {string} fileSuffixKey
+ * @property {'json'|'text'|'base64'|'form'} requestType
+ * @property {object} request
+ * @property {string} request.method
+ * @property {string} request.url
+ * @property {string[][]} request.headers
+ * @property {string|object|undefined} request.body
+ * @property {'websocket'} responseType
+ * @property {object} response
+ * @property {101} response.status
+ * @property {string} response.statusText
+ * @property {string[][]} response.headers
+ * @property {WebSocketFrame[]} response.body Client and server frames in the order they were sent
+ */
+
+/**
+ * Timings of snapshots imported from a HAR file, in milliseconds (check importHar())
+ * @typedef SnapshotTimings
+ * @property {string} startedDateTime ISO 8601 date
+ * @property {number} time Total time of the request
+ * @property {number} [blocked]
+ * @property {number} [dns]
+ * @property {number} [connect]
+ * @property {number} [ssl]
+ * @property {number} send
+ * @property {number} wait
+ * @property {number} receive
+ */
+
+/**
+ * @typedef SnapshotMetadata
+ * @property {string} [recordedAt] ISO 8601 date the snapshot was recorded (or imported) at
+ * @property {string} [version] Version of http-snapshotter that recorded the snapshot
+ * @property {SnapshotTimings} [timings]
+ */
+
+/**
+ * @typedef {(SnapshotText | SnapshotJson | SnapshotBase64 | SnapshotStream | SnapshotError | SnapshotWebSocket)
+ *  & SnapshotMetadata} Snapshot
+ */
+
+/**
+ * @typedef StreamingOptions
+ * @property {(string|RegExp)[]} [contentTypes] Response content types to record chunk by chunk, in addition
+ * to text/event-stream and newline delimited JSON
+ * @property {boolean} [recordTiming] Record the delay between chunks, so that they are replayed at the same pace
+ */
+
+/**
+ * What to do once a test case has replayed every recorded response of a response sequence.
+ * `false` disables response sequences i.e. identical requests share a single snapshot file.
+ * @typedef {false | 'repeat-last' | 'cycle' | 'fail'} ResponseSequence
+ */
+
+/**
+ * @typedef VerifyOptions
+ * @property {string[]} [headers] Response headers to compare in verify mode. Defaults to content-type.
+ * @property {string[]} [ignoreBodyPaths] JSON paths of response body values that are expected to change
+ * between calls (e.g. `$.requestId`, `$.items[*].updatedAt`)
+ */
+
+/**
+ * @typedef DriftDifference
+ * @property {'status' | 'header' | 'body'} kind
+ * @property {string} path Header name or JSON path of the body value (`$` for whole body)
+ * @property {any} expected Value in the snapshot file
+ * @property {any} actual Value in the live response
+ */
+
+/**
+ * @typedef SnapshotDrift
+ * @property {string} fileName Snapshot file, relative to snapshot directory
+ * @property {{ method: string, url: string }} request
+ * @property {boolean} missingSnapshot There is no snapshot for this request
+ * @property {DriftDifference[]} differences
+ */
+
+/**
+ * Which requests a fault applies to: URL prefix, URL regex, method and URL, or a function that receives
+ * the Request object (don't consume its body)
+ * @typedef {string | RegExp | { method?: string, url?: string | RegExp } | ((req: Request) => boolean)} FaultMatcher
+ */
+
+/**
+ * @typedef Fault
+ * @property {number} [status] Respond with this status code (and no body) instead of the snapshot
+ * @property {string} [error] Fail the request with this network error code e.g. ECONNRESET, ENOTFOUND, ETIMEDOUT
+ * @property {number} [delayMs] Delay the request by this many milliseconds
+ * @property {number} [truncateBodyAt] Error the replayed response body after this many bytes
+ * @property {number} [times] Only apply to the next n matching requests. Defaults to every matching request.
+ */
+
+/**
+ * @typedef FaultRule
+ * @property {FaultMatcher} matcher
+ * @property {Fault} fault
+ * @property {number} remaining Number of matching requests the fault still applies to
+ */
+
+/**
+ * A request made while the interceptor was running (check getRecordedRequests())
+ * @typedef RecordedRequest
+ * @property {string} method
+ * @property {string} url
+ * @property {Record<string, string>} headers
+ * @property {any} body Parsed JSON body, form fields (check SnapshotForm), text, or base64 for binary bodies.
+ * undefined if the request has no body.
+ * @property {string} testCase Test case (directory name) the request was made in
+ * @property {string} [snapshotFile] Snapshot file of the request, relative to snapshot directory
+ * @property {'hit' | 'miss' | 'live' | 'ignored' | 'fault'} outcome 'hit' when answered from a snapshot,
+ * 'miss' when it failed for lack of a (usable) snapshot, 'live' when it went to the network, 'ignored' when
+ * it matched the ignore rules and 'fault' when answered by an injected fault
+ */
+
+/**
+ * Which recorded requests to assert on: URL prefix, URL regex, method / URL / body, or a function that
+ * receives the recorded request. `body` matches when the recorded (JSON) body contains the given values.
+ * @typedef {string | RegExp | { method?: string, url?: string | RegExp, body?: any }
+ *  | ((req: RecordedRequest) => boolean)} RequestMatcher
  */
 
 /**
  * @typedef {import('diff').Change} DiffChange
  */
 
+/**
+ * A request in the run report
+ * @typedef ReportedRequest
+ * @property {string} testCase Test case (directory name) the request was made in
+ * @property {string} method
+ * @property {string} url With query params of the redaction rules redacted
+ * @property {string} [snapshotFile] Snapshot file of the request, relative to snapshot directory
+ * @property {'hit' | 'miss' | 'written' | 'ignored' | 'live' | 'fault'} outcome Same as the outcome of
+ * RecordedRequest, except that requests that went to the network and got their snapshot written are 'written'
+ * @property {{ file: string, fileSuffixKey: string }} [closestMatch] Closest existing snapshot file of a
+ * missed request (read mode only), relative to snapshot directory
+ */
+
+/**
+ * @typedef {Record<ReportedRequest['outcome'], number> & { requests: number }} ReportTotals
+ */
+
+/**
+ * Snapshot hits, misses and writes of a run (check the report option of start())
+ * @typedef RunReport
+ * @property {string} createdAt ISO 8601 date
+ * @property {string} version Version of http-snapshotter
+ * @property {SnapshotMode} mode Snapshot mode of the run (test cases can have their own)
+ * @property {string|null} snapshotDirectory
+ * @property {ReportTotals} totals
+ * @property {Record<string, ReportTotals>} hosts Totals per host (with port, if any)
+ * @property {ReportedRequest[]} requests In the order they were made
+ */
+
 const dynamodbHostNameRegex = /^(?:\d+\.)?(?:dynamodb|ddb)\.([^.]+)\.amazonaws\.com$/;
+// Regional, FIPS, dualstack and legacy hostnames of AWS services.
+// Region defaults to us-east-1 for global / legacy hostnames.
+const s3HostNameRegex = /^(?:(?<bucket>.+)\.)?s3(?:-fips)?(?:[.-](?:dualstack\.)?(?<region>[a-z]{2}(?:-gov)?-[a-z]+-\d))?\.amazonaws\.com$/;
+const sqsHostNameRegex = /^(?:sqs(?:-fips)?\.(?<region>[^.]+)|(?:(?<legacyRegion>[^.]+)\.)?queue)\.amazonaws\.com$/;
+const snsHostNameRegex = /^sns(?:-fips)?\.(?<region>[^.]+)\.amazonaws\.com$/;
+const lambdaHostNameRegex = /^lambda(?:-fips)?\.(?<region>[^.]+)\.amazonaws\.com$/;
+const stsHostNameRegex = /^sts(?:-fips)?(?:\.(?<region>[^.]+))?\.amazonaws\.com$/;
+// Idempotency tokens / request IDs that SDKs generate randomly for every call
+const awsRequestIdFields = ['ClientRequestToken', 'ClientToken', 'IdempotencyToken', 'RequestId'];
+// Query params of presigned S3 URLs that change with every signature
+const s3PresignParams = [
+  'X-Amz-Algorithm',
+  'X-Amz-Credential',
+  'X-Amz-Date',
+  'X-Amz-Expires',
+  'X-Amz-Security-Token',
+  'X-Amz-Signature',
+  'X-Amz-SignedHeaders',
+  'x-id',
+];
 
 /**
  * Stable JSON stringify with sorted keys for deterministic hashing
@@ -111,56 +500,529 @@ function stableStringify(val) {
   ).join(',') + '}';
 }
 
-const defaultKeyDerivationProps = ['method', 'url', 'body'];
 /**
- * @param {Request} request 
+ * Parse a JSON path like `$.credentials.apiKey`, `$.items[*].token` or `$.items[0].token`
+ * into its segments. `*` matches any array index or object key.
+ * @param {string} path
+ * @returns {string[]}
  */
-async function defaultSnapshotFileNameGenerator(request) {
-  let filePrefix;
+function parseJsonPath(path) {
+  return (path.replace(/^\$/, '').match(/\[(?:\d+|\*)\]|[^.[\]]+/g) || [])
+    .map((segment) => segment.replace(/^\[(.*)\]$/, '$1'));
+}
+
+/**
+ * Replace the values matching a JSON path. Returns a copy, the input value isn't mutated.
+ * @param {any} value
+ * @param {string[]} segments Parsed JSON path (check parseJsonPath())
+ * @param {(matchedValue: any) => any} replacer
+ * @returns {any}
+ */
+function replaceAtJsonPath(value, segments, replacer) {
+  if (!segments.length) return replacer(value);
+  if (typeof value !== 'object' || value === null) return value;
+  const [segment, ...rest] = segments;
+  if (Array.isArray(value)) {
+    return value.map((item, index) => (
+      segment === '*' || segment === String(index) ? replaceAtJsonPath(item, rest, replacer) : item
+    ));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    segment === '*' || segment === key ? replaceAtJsonPath(item, rest, replacer) : item,
+  ]));
+}
+
+/**
+ * @param {any} value
+ * @param {string[]} keys
+ * @returns {any} copy of value without the top level keys. Nested values are user data (e.g. DynamoDB items).
+ */
+function omitKeys(value, keys) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) return value;
+  return Object.fromEntries(Object.entries(value).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * Read the action and parameters of an AWS JSON protocol (x-amz-target header) or query protocol
+ * (form encoded `Action=` param) request
+ * @param {Request} request
+ * @param {(params: Record<string, any>) => Record<string, any>} [normalizeParams]
+ * @returns {Promise<{ action: string, params: Record<string, any>, body?: string }>} body is the
+ * normalized body for the file suffix key, without request IDs
+ */
+async function readAwsRequest(request, normalizeParams = (params) => params) {
+  const contentType = request.headers.get('content-type') || '';
+  const text = await request.clone().text();
+  if (contentType.includes('application/x-amz-json') || contentType.includes('application/json')) {
+    try {
+      const params = normalizeParams(omitKeys(JSON.parse(text), awsRequestIdFields));
+      return {
+        action: request.headers.get('x-amz-target')?.split('.').pop() || '',
+        params,
+        body: stableStringify(params),
+      };
+    } catch (err) {
+      return { action: '', params: {} };
+    }
+  }
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    const form = Object.fromEntries(new URLSearchParams(text));
+    awsRequestIdFields.forEach((name) => { delete form[name]; });
+    const params = normalizeParams(form);
+    return { action: params.Action || '', params, body: new URLSearchParams(params).toString() };
+  }
+  return { action: '', params: {} };
+}
 
+/**
+ * Normalized URL, readable file name prefix and normalized body of AWS requests.
+ * Returns null for requests to other hosts.
+ * @param {Request} request
+ * @returns {Promise<{ filePrefix: string, url: string, body?: string } | null>}
+ */
+async function normalizeAwsRequest(request) {
   const url = new URL(request.url);
-  const dynamodbRegion = url.hostname.match(dynamodbHostNameRegex)?.[1] || '';
-  const normalizedRequestUrl = (() => {
-    if (!dynamodbRegion) return request.url;
-    const normalizedUrl = new URL(request.url);
-    normalizedUrl.hostname = `dynamodb.${dynamodbRegion}.amazonaws.com`;
-    return normalizedUrl.toString();
-  })();
+  const { hostname, pathname, searchParams } = url;
+  /** @param {string} service @param {string} [region] */
+  const normalizedUrl = (service, region = 'us-east-1', path = pathname) => {
+    const normalized = new URL(url);
+    normalized.hostname = `${service}.${region}.amazonaws.com`;
+    normalized.pathname = path;
+    return normalized.toString();
+  };
 
+  const dynamodbRegion = hostname.match(dynamodbHostNameRegex)?.[1];
   if (dynamodbRegion) {
-    filePrefix = [
-      'dynamodb',
-      dynamodbRegion, // e.g. eu-west-1
-      slugify(request.headers?.get?.('x-amz-target')?.split?.('.')?.pop?.() || ''), // e.g. get-item, put-item
-      slugify(JSON.parse(await request.clone().text())?.TableName),
-    ].filter(Boolean).join('-');
-  } else {
-    filePrefix = [
+    const { action, params, body } = await readAwsRequest(request);
+    return {
+      filePrefix: [
+        'dynamodb',
+        dynamodbRegion, // e.g. eu-west-1
+        slugify(action), // e.g. get-item, put-item
+        slugify(params.TableName || ''),
+      ].filter(Boolean).join('-'),
+      url: normalizedUrl('dynamodb', dynamodbRegion),
+      body,
+    };
+  }
+
+  const s3Match = hostname.match(s3HostNameRegex);
+  if (s3Match) {
+    // Path style (s3.region.amazonaws.com/bucket/key) and virtual hosted style (bucket.s3.region.amazonaws.com/key)
+    const [pathBucket, ...keyParts] = pathname.slice(1).split('/');
+    const bucket = s3Match.groups?.bucket || decodeURIComponent(pathBucket || '');
+    const key = decodeURIComponent((s3Match.groups?.bucket ? [pathBucket, ...keyParts] : keyParts).join('/'));
+    const method = request.method.toUpperCase();
+    const operation = (() => {
+      if (!bucket) return 'list-buckets';
+      if (!key) {
+        if (method === 'POST' && searchParams.has('delete')) return 'delete-objects';
+        if (method === 'GET') return searchParams.get('list-type') === '2' ? 'list-objects-v2' : 'list-objects';
+        return ({ HEAD: 'head-bucket', PUT: 'create-bucket', DELETE: 'delete-bucket' })[method] || method.toLowerCase();
+      }
+      if (method === 'POST') return searchParams.has('uploads') ? 'create-multipart-upload' : 'complete-multipart-upload';
+      if (method === 'PUT') {
+        if (searchParams.has('partNumber')) return 'upload-part';
+        return request.headers.has('x-amz-copy-source') ? 'copy-object' : 'put-object';
+      }
+      if (method === 'DELETE') return searchParams.has('uploadId') ? 'abort-multipart-upload' : 'delete-object';
+      return ({ GET: 'get-object', HEAD: 'head-object' })[method] || method.toLowerCase();
+    })();
+    const normalized = new URL(normalizedUrl(
+      's3',
+      s3Match.groups?.region,
+      `/${[bucket, key].filter(Boolean).map(encodeURIComponent).join('/')}`.replace(/%2F/g, '/'),
+    ));
+    s3PresignParams.forEach((name) => normalized.searchParams.delete(name));
+    return {
+      filePrefix: ['s3', operation, slugify(bucket), slugify(key)].filter(Boolean).join('-'),
+      url: normalized.toString(),
+    };
+  }
+
+  const sqsMatch = hostname.match(sqsHostNameRegex);
+  if (sqsMatch) {
+    const region = sqsMatch.groups?.region || sqsMatch.groups?.legacyRegion;
+    /** @param {string} queueUrl */
+    const normalizeQueueUrl = (queueUrl) => {
+      const queue = new URL(queueUrl);
+      const queueRegion = queue.hostname.match(sqsHostNameRegex);
+      if (!queueRegion) return queueUrl;
+      return normalizedUrl('sqs', queueRegion.groups?.region || queueRegion.groups?.legacyRegion, queue.pathname);
+    };
+    const { action, params, body } = await readAwsRequest(request, (requestParams) => (
+      requestParams.QueueUrl ? { ...requestParams, QueueUrl: normalizeQueueUrl(requestParams.QueueUrl) } : requestParams
+    ));
+    // Queue URL looks like https://sqs.region.amazonaws.com/account-id/queue-name
+    const queueName = (params.QueueUrl ? new URL(params.QueueUrl).pathname : pathname).split('/')[2]
+      || params.QueueName
+      || '';
+    return {
+      filePrefix: ['sqs', slugify(action), slugify(queueName)].filter(Boolean).join('-'),
+      url: normalizedUrl('sqs', region),
+      body,
+    };
+  }
+
+  const snsMatch = hostname.match(snsHostNameRegex);
+  if (snsMatch) {
+    const { action, params, body } = await readAwsRequest(request);
+    // e.g. arn:aws:sns:region:account-id:topic-name
+    const topicName = (params.TopicArn || params.TargetArn || '').split(':')[5] || params.Name || '';
+    return {
+      filePrefix: ['sns', slugify(action), slugify(topicName)].filter(Boolean).join('-'),
+      url: normalizedUrl('sns', snsMatch.groups?.region),
+      body,
+    };
+  }
+
+  const lambdaMatch = hostname.match(lambdaHostNameRegex);
+  if (lambdaMatch) {
+    // e.g. /2015-03-31/functions/my-function/invocations, where function name can also be an ARN
+    const [, functionName = '', operation = ''] = decodeURIComponent(pathname).match(/\/functions\/([^/]+)\/?([^/]*)/) || [];
+    const invocationType = request.headers.get('x-amz-invocation-type');
+    return {
+      filePrefix: [
+        'lambda',
+        operation === 'invocations' ? 'invoke' : slugify(operation || request.method),
+        invocationType && invocationType !== 'RequestResponse' ? slugify(invocationType) : '',
+        slugify(functionName.replace(/^arn:[^:]+:lambda:[^:]+:[^:]+:function:/, '')),
+      ].filter(Boolean).join('-'),
+      url: normalizedUrl('lambda', lambdaMatch.groups?.region),
+    };
+  }
+
+  const stsMatch = hostname.match(stsHostNameRegex);
+  if (stsMatch) {
+    const { action, params, body } = await readAwsRequest(request);
+    // e.g. arn:aws:iam::account-id:role/role-name
+    const roleName = (params.RoleArn || '').split('/').pop() || '';
+    return {
+      filePrefix: ['sts', slugify(action), slugify(roleName)].filter(Boolean).join('-'),
+      url: normalizedUrl('sts', stsMatch.groups?.region),
+      body,
+    };
+  }
+  return null;
+}
+
+// Punctuators, names, numbers, block strings, strings and comments of a GraphQL document.
+// Whitespace, commas and comments are insignificant.
+const graphqlTokenRegex = /\.\.\.|[!$&():=@[\]{|}]|[_A-Za-z][_0-9A-Za-z]*|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|"""[\s\S]*?"""|"(?:[^"\\]|\\.)*"|#[^\n\r]*/g;
+const graphqlPunctuatorRegex = /^(?:\.\.\.|[!$&():=@[\]{|}])$/;
+// Tells a GraphQL document apart from e.g. a search API's `{ "query": "red shoes" }` or
+// `{ "query": "query builder" }` body: an operation keyword has to be followed by the selection set,
+// variable definitions or directives (after the optional operation name).
+const graphqlDocumentRegex = /^\s*(?:#[^\n\r]*\s*)*(?:\{|(?:query|mutation|subscription)\b\s*(?:[_A-Za-z][_0-9A-Za-z]*\s*)?[({@]|fragment\s+[_A-Za-z][_0-9A-Za-z]*\s+on\b)/;
+
+/**
+ * @param {string[]} tokens
+ */
+function printGraphqlTokens(tokens) {
+  return tokens.reduce((output, token, index) => {
+    const needsSpace = index > 0
+      && !graphqlPunctuatorRegex.test(token)
+      && !graphqlPunctuatorRegex.test(tokens[index - 1]);
+    return `${output}${needsSpace ? ' ' : ''}${token}`;
+  }, '');
+}
+
+/**
+ * Normalize a GraphQL document, so that formatting, comments and the order of fields within
+ * a selection set don't change it
+ * @param {string} query
+ * @returns {string}
+ */
+function normalizeGraphqlQuery(query) {
+  const tokens = (query.match(graphqlTokenRegex) || []).filter((token) => !token.startsWith('#'));
+  let position = 0;
+  /**
+   * Read tokens until the closing brace of the current selection set (or end of document),
+   * sorting the selections of nested selection sets
+   * @param {boolean} isSelectionSet
+   * @returns {string[]}
+   */
+  const readTokens = (isSelectionSet) => {
+    /** @type {string[][]} */
+    const selections = [];
+    /** @type {string[]} */
+    let current = [];
+    let parenDepth = 0;
+    while (position < tokens.length) {
+      const token = tokens[position];
+      position += 1;
+      if (isSelectionSet && token === '}' && parenDepth === 0) break;
+      const previous = current[current.length - 1];
+      const startsSelection = isSelectionSet && parenDepth === 0 && current.length > 0 && (
+        token === '...'
+        || (!graphqlPunctuatorRegex.test(token)
+          && ![':', '...', '@', 'on'].includes(previous)
+          && !(previous === 'on' && current[current.length - 2] === '...'))
+      );
+      if (startsSelection) {
+        selections.push(current);
+        current = [];
+      }
+      if (token === '(') parenDepth += 1;
+      if (token === ')') parenDepth -= 1;
+      // Braces within arguments are input objects, not selection sets
+      current.push(token);
+      if (token === '{' && parenDepth === 0) {
+        current.push(...readTokens(true), '}');
+      }
+    }
+    selections.push(current);
+    if (!isSelectionSet) return selections.flat();
+    return selections
+      .filter((selection) => selection.length)
+      .sort((a, b) => printGraphqlTokens(a).localeCompare(printGraphqlTokens(b)))
+      .flat();
+  };
+  return printGraphqlTokens(readTokens(false));
+}
+
+/**
+ * Readable file name prefix, normalized URL and normalized body of GraphQL requests.
+ * Returns null for other requests.
+ * @param {Request} request
+ * @returns {Promise<{ filePrefix: string, url: string, body?: string } | null>}
+ */
+async function normalizeGraphqlRequest(request) {
+  const url = new URL(request.url);
+  const contentType = request.headers.get('content-type') || '';
+  const isGraphqlPath = /\/graphql\/?$/i.test(url.pathname);
+  /** @param {string|null} json */
+  const parseJson = (json) => {
+    try {
+      return json ? JSON.parse(json) : undefined;
+    } catch (err) {
+      return undefined;
+    }
+  };
+
+  /** @type {any} */
+  let payload;
+  if (request.method.toUpperCase() === 'GET') {
+    // e.g. GET /graphql?query=...&variables={...}&extensions={"persistedQuery":{...}}
+    if (url.searchParams.has('query') || url.searchParams.has('extensions')) {
+      payload = {
+        query: url.searchParams.get('query') || undefined,
+        operationName: url.searchParams.get('operationName') || undefined,
+        variables: parseJson(url.searchParams.get('variables')),
+        extensions: parseJson(url.searchParams.get('extensions')),
+      };
+      ['query', 'operationName', 'variables', 'extensions'].forEach((name) => url.searchParams.delete(name));
+    }
+  } else if (contentType.includes('application/graphql')) {
+    payload = { query: await request.clone().text() };
+  } else if (isGraphqlPath || contentType.includes('json')) {
+    payload = parseJson(await request.clone().text());
+  }
+
+  // Batched requests are an array of operations
+  const operations = Array.isArray(payload) ? payload : [payload];
+  const isGraphql = payload !== undefined && operations.every((operation) => (
+    typeof operation === 'object' && operation !== null
+    && (graphqlDocumentRegex.test(operation.query) || Boolean(operation.extensions?.persistedQuery))
+  ));
+  if (!isGraphql) return null;
+
+  const normalizedOperations = operations.map(({
+    query, operationName, variables, extensions, ...otherFields
+  }) => {
+    const normalizedQuery = typeof query === 'string' ? normalizeGraphqlQuery(query) : undefined;
+    // Name of the first operation in the document, if operationName isn't specified
+    const name = operationName
+      || normalizedQuery?.match(/^(?:query|mutation|subscription) ?([_A-Za-z][_0-9A-Za-z]*)/)?.[1]
+      || '';
+    return {
+      name,
+      key: Object.fromEntries(Object.entries({
+        ...otherFields,
+        operationName: name,
+        query: normalizedQuery,
+        variables,
+        persistedQueryHash: extensions?.persistedQuery?.sha256Hash,
+      }).filter(([, value]) => value !== undefined && value !== '')),
+    };
+  });
+  return {
+    filePrefix: [
       request.method.toLowerCase(),
       slugify(url.hostname),
-      slugify(url.pathname.replace('.json', '')),
-    ].filter(Boolean).join('-');
+      slugify(url.pathname),
+      ...normalizedOperations.map(({ name }) => slugify(name)),
+    ].filter(Boolean).join('-'),
+    url: url.toString(),
+    body: stableStringify(Array.isArray(payload)
+      ? normalizedOperations.map(({ key }) => key)
+      : normalizedOperations[0].key),
+  };
+}
+
+/**
+ * Volatile request values (timestamps, idempotency keys, nonces) to leave out of the snapshot key
+ * @typedef KeyIgnoreRule
+ * @property {string|RegExp} [host] Hostname the rule applies to. Defaults to all hosts.
+ * @property {string} [method] HTTP method the rule applies to (case-insensitive). Defaults to all methods.
+ * @property {string[]} [jsonPaths] JSON paths of request body values e.g. `$.requestId`, `$.items[*].ts`
+ * @property {string[]} [queryParams] URL query parameter names
+ */
+
+/** @type {KeyIgnoreRule[]} */
+let keyIgnoreRules = [];
+const ignoredKeyPlaceholder = '__IGNORED__';
+
+/**
+ * @typedef PathTemplate
+ * @property {string|RegExp} [host] Hostname the template applies to. Defaults to all hosts.
+ * @property {string} template e.g. `/users/:id/orders`. `:name` segments match any value.
+ */
+
+/**
+ * @typedef UrlNormalizationOptions
+ * @property {boolean} [sortQueryParams] Sort query params, so that their order doesn't change the snapshot key
+ * @property {Record<string, string[]>} [ignoreQueryParams] Query params to leave out of the snapshot key
+ * (e.g. cache busters), by hostname. Use '*' for all hosts.
+ * @property {(string|PathTemplate)[]} [pathTemplates] Path templates used for the file name prefix instead of
+ * the concrete path. The concrete values are still part of the snapshot key.
+ */
+
+/** @type {UrlNormalizationOptions} */
+let urlNormalization = {};
+
+/**
+ * @param {string|RegExp|undefined} host
+ * @param {string} hostname
+ */
+function matchesHost(host, hostname) {
+  return host === undefined || (typeof host === 'string' ? host === hostname : host.test(hostname));
+}
+
+/**
+ * URL for the snapshot key, with sorted query params and without ignored query params
+ * @param {URL} url
+ * @returns {URL}
+ */
+function normalizeUrl(url) {
+  const { sortQueryParams = false, ignoreQueryParams = {} } = urlNormalization;
+  const normalized = new URL(url);
+  [...(ignoreQueryParams['*'] || []), ...(ignoreQueryParams[url.hostname] || [])].forEach((name) => {
+    normalized.searchParams.delete(name);
+  });
+  if (sortQueryParams) {
+    normalized.searchParams.sort();
+  }
+  return normalized;
+}
+
+/**
+ * Path with the concrete values of the first matching path template replaced by their names
+ * e.g. `/users/8f3a/orders` -> `/users/id/orders`
+ * @param {URL} url
+ * @returns {string}
+ */
+function getTemplatedPath(url) {
+  const segments = url.pathname.split('/');
+  for (const pathTemplate of urlNormalization.pathTemplates || []) {
+    const { host, template } = typeof pathTemplate === 'string' ? { host: undefined, template: pathTemplate } : pathTemplate;
+    const templateSegments = template.split('/');
+    const matches = matchesHost(host, url.hostname)
+      && templateSegments.length === segments.length
+      && templateSegments.every((segment, index) => (
+        segment.startsWith(':') ? segments[index] !== '' : segment === segments[index]
+      ));
+    if (matches) {
+      return templateSegments.map((segment) => segment.replace(/^:/, '')).join('/');
+    }
   }
+  return url.pathname;
+}
+
+/**
+ * Copy of the request with normalized URL, and without the values that keyIgnore rules leave
+ * out of the snapshot key
+ * @param {Request} request
+ * @returns {Promise<Request>}
+ */
+async function normalizeRequestForKey(request) {
+  const url = normalizeUrl(new URL(request.url));
+  const rules = keyIgnoreRules.filter(({ host, method }) => (
+    matchesHost(host, url.hostname)
+    && (method === undefined || method.toUpperCase() === request.method.toUpperCase())
+  ));
+  if (!rules.length && url.toString() === request.url) return request;
+
+  rules.flatMap(({ queryParams = [] }) => queryParams).forEach((name) => {
+    if (url.searchParams.has(name)) url.searchParams.set(name, ignoredKeyPlaceholder);
+  });
+  let body = await request.clone().arrayBuffer();
+  const jsonPaths = rules.flatMap(({ jsonPaths: paths = [] }) => paths);
+  const contentType = request.headers.get('content-type') || '';
+  if (jsonPaths.length && (contentType.includes('application/json') || contentType.includes('application/x-amz-json'))) {
+    try {
+      const json = jsonPaths.reduce(
+        (value, path) => replaceAtJsonPath(value, parseJsonPath(path), () => ignoredKeyPlaceholder),
+        JSON.parse(new TextDecoder().decode(body)),
+      );
+      body = new TextEncoder().encode(JSON.stringify(json)).buffer;
+    } catch (err) {
+      // Not valid JSON, nothing to ignore
+    }
+  }
+  return new Request(url, {
+    method: request.method,
+    headers: request.headers,
+    body: ['GET', 'HEAD'].includes(request.method.toUpperCase()) ? undefined : body,
+  });
+}
+
+const defaultKeyDerivationProps = ['method', 'url', 'body'];
+/**
+ * @param {Request} request 
+ */
+async function defaultSnapshotFileNameGenerator(request) {
+  const keyRequest = await normalizeRequestForKey(request);
+  const url = new URL(keyRequest.url);
+  // AWS and GraphQL requests get readable prefixes, and keys that don't depend on the
+  // endpoint used / the formatting of the query
+  const normalizedRequest = await normalizeAwsRequest(keyRequest) || await normalizeGraphqlRequest(keyRequest);
+  const filePrefix = normalizedRequest?.filePrefix || [
+    keyRequest.method.toLowerCase(),
+    slugify(url.hostname),
+    slugify(getTemplatedPath(url).replace('.json', '')),
+  ].filter(Boolean).join('-');
 
   // Input data
   const dataList = await Promise.all(
     defaultKeyDerivationProps.map(async (key) => {
       if (key === 'body') {
-        const contentType = request.headers.get('content-type') || '';
+        if (normalizedRequest?.body !== undefined) {
+          return normalizedRequest.body;
+        }
+        // Independent of the multipart boundary and the order of the fields
+        const form = await readFormBody(keyRequest);
+        if (form) {
+          return stableStringify(form);
+        }
+        const contentType = keyRequest.headers.get('content-type') || '';
         if (contentType.includes('application/json') || contentType.includes('application/x-amz-json')) {
           try {
-            return stableStringify(await request.clone().json());
+            return stableStringify(await keyRequest.clone().json());
           } catch (e) {
             // Not valid JSON, fall back to text
           }
         }
-        return request.clone().text();
+        const bytes = Buffer.from(await keyRequest.clone().arrayBuffer());
+        // Binary bodies would otherwise lose the invalid UTF-8 bytes (and their uniqueness) when read as text
+        return decodeUtf8(bytes) === null ? bytes.toString('base64') : new TextDecoder().decode(bytes);
       }
       if (key === 'url') {
-        return normalizedRequestUrl;
+        return normalizedRequest?.url || keyRequest.url;
       }
       //@ts-ignore
-      return request[key];
+      return keyRequest[key];
     }),
   );
 
@@ -184,13 +1046,102 @@ function defaultSnapshotIgnoreRules(_request) {
  * @type {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>}
  */
 let snapshotFileNameGenerator = defaultSnapshotFileNameGenerator;
-let snapshotSubDirectory = '';
+/** @type {ResponseSequence} */
+let defaultResponseSequence = false;
 
 /**
  * @type {(req: Request) => boolean}
  */
 let snapshotIgnoreRules = defaultSnapshotIgnoreRules;
 
+/**
+ * A test case started with startTestCase() or withTestCase(). When filename generator or ignore
+ * rules aren't set, the globally attached ones are used.
+ * @typedef TestCase
+ * @property {string} directoryName Sub directory of the snapshot directory
+ * @property {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>} [snapshotFileNameGenerator]
+ * @property {(req: Request) => boolean} [snapshotIgnoreRules]
+ * @property {ResponseSequence} [responseSequence]
+ * @property {SnapshotMode} [mode]
+ * @property {Map<string, number>} sequenceCounters Number of times an identical request was made in the
+ * test case, keyed by the absolute path of the first snapshot file of the response sequence
+ * @property {FaultRule[]} [faults] Faults injected with injectFault()
+ * @property {Error[]} [errors] Errors of requests that couldn't be answered from snapshots
+ * @property {Set<string>} usedFiles Snapshot files (relative to snapshot directory) the test case read or
+ * recorded
+ */
+
+/** @type {TestCase} */
+let globalTestCase = { directoryName: '', sequenceCounters: new Map(), usedFiles: new Set() };
+/** @type {AsyncLocalStorage<TestCase>} */
+const testCaseStorage = new AsyncLocalStorage();
+
+/**
+ * A single fetch() / http.request() call, so that the request listener knows how the caller receives
+ * network errors and the caller's error can be recorded for the intercepted request
+ * @typedef Caller
+ * @property {'fetch'|'http'} source
+ * @property {{ request: Request, snapshotFileInfo: SnapshotFileInfo }} [pendingSnapshot] Set when the
+ * request goes to the network and a network error should be recorded
+ */
+
+/** @type {AsyncLocalStorage<Caller>} */
+const callerStorage = new AsyncLocalStorage();
+
+/**
+ * Test case of the current async context (check withTestCase()), else the one started with startTestCase()
+ * @returns {TestCase}
+ */
+function getCurrentTestCase() {
+  return testCaseStorage.getStore() || globalTestCase;
+}
+
+/**
+ * @typedef RedactionRules
+ * @property {string[]} [headers] Request and response header names (case-insensitive)
+ * @property {string[]} [queryParams] URL query parameter names (case-insensitive). Also applies
+ * to the fields of form request bodies (application/x-www-form-urlencoded and multipart/form-data).
+ * @property {string[]} [requestBodyPaths] JSON paths in request body e.g. `$.password`, `$.items[*].token`
+ * @property {string[]} [responseBodyPaths] JSON paths in response body
+ * @property {boolean} [includeDefaults] Whether to also apply defaultRedactionRules. Defaults to true.
+ */
+
+/**
+ * Secrets that are redacted from snapshot files unless opted out with `includeDefaults: false`
+ * @type {Required<Omit<RedactionRules, 'includeDefaults'>>}
+ */
+const defaultRedactionRules = {
+  headers: [
+    'authorization',
+    'proxy-authorization',
+    'cookie',
+    'set-cookie',
+    'x-amz-security-token',
+    'x-api-key',
+  ],
+  queryParams: [
+    'access_token',
+    'api_key',
+    'apikey',
+    'client_secret',
+    'x-amz-credential',
+    'x-amz-security-token',
+    'x-amz-signature',
+  ],
+  requestBodyPaths: ['$.password', '$.client_secret', '$.refresh_token'],
+  responseBodyPaths: ['$.access_token', '$.refresh_token', '$.id_token'],
+};
+
+const redactedPlaceholder = '__REDACTED__';
+
+/** @type {Required<Omit<RedactionRules, 'includeDefaults'>> | null} */
+let redactionRules = defaultRedactionRules;
+
+/** @type {(string|RegExp)[]} */
+const defaultStreamContentTypes = ['text/event-stream', 'application/x-ndjson', 'application/jsonl'];
+/** @type {Required<StreamingOptions>} */
+let streamingOptions = { contentTypes: defaultStreamContentTypes, recordTiming: false };
+
 /**
  * @typedef SnapshotFileInfo
  * @property {string} absoluteFilePath
@@ -200,29 +1151,41 @@ let snapshotIgnoreRules = defaultSnapshotIgnoreRules;
  */
 
 /**
- * @param {Request} request
- * @returns {Promise<SnapshotFileInfo>}
+ * @param {string} filePrefix
+ * @param {string} fileSuffixKey
+ * @returns {string} file name in format `filePrefix-hash.json`
  */
-async function getSnapshotFileInfo(request) {
-  const { fileSuffixKey, filePrefix } = await snapshotFileNameGenerator(request.clone());
-
+function getSnapshotBaseName(filePrefix, fileSuffixKey) {
   // 15 characters are enough for uniqueness
   const hash = createHash('sha256')
     .update(fileSuffixKey)
     .digest('base64url')
     .slice(0, 15);
+  return `${filePrefix}-${hash}.json`;
+}
 
-  const fileName = join(snapshotSubDirectory, `${filePrefix}-${hash}.json`);
+/**
+ * @param {Request} request
+ * @param {string|null} [dir] Snapshot directory. Defaults to the one passed to start().
+ * @returns {Promise<SnapshotFileInfo>}
+ */
+async function getSnapshotFileInfo(request, dir = snapshotDirectory) {
+  const testCase = getCurrentTestCase();
+  const generator = testCase.snapshotFileNameGenerator || snapshotFileNameGenerator;
+  const { fileSuffixKey, filePrefix } = await generator(request.clone());
+
+  const fileName = join(testCase.directoryName, getSnapshotBaseName(filePrefix, fileSuffixKey));
 
   return {
-    absoluteFilePath: resolve(/** @type {string} */ (snapshotDirectory), fileName),
+    absoluteFilePath: resolve(/** @type {string} */ (dir), fileName),
     fileName,
     filePrefix,
     fileSuffixKey,
   };
 }
 
-// NOTE: This isn't going to work on a test runner that uses multiple processes / workers
+// NOTE: These only track files within this process / worker. Writes to the snapshot files
+// are atomic, so workers writing the same snapshot file at the same time don't corrupt it.
 /**
  * @typedef {Promise<{
  *  snapshot: Snapshot,
@@ -235,60 +1198,247 @@ const alreadyWrittenFiles = new Map();
 const readFiles = new Set();
 const existingSubDirectories = new Set();
 
+// Bodies of these content types are always stored as base64, even if the bytes happen to be valid UTF-8
+const binaryContentTypeRegex = /^(?:image|audio|video|font)\/|^application\/(?:octet-stream|pdf|zip|gzip|x-tar|wasm|grpc|x-protobuf|protobuf|vnd\.google\.protobuf)/;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
 /**
- * @param {Request} request
- * @param {Response} response
- * @param {SnapshotFileInfo} snapshotFileInfo
+ * @param {Uint8Array} bytes
+ * @returns {string|null} null if the bytes aren't valid UTF-8
  */
-async function saveSnapshot(request, response, snapshotFileInfo) {
-  const { absoluteFilePath, fileName, fileSuffixKey } = snapshotFileInfo;
-  // Prevent multiple tests from having same snapshot
-  if (alreadyWrittenFiles.has(absoluteFilePath)) {
-    return /** @type {ReadSnapshotReturnType} */ (alreadyWrittenFiles.get(absoluteFilePath));
+function decodeUtf8(bytes) {
+  try {
+    return utf8Decoder.decode(bytes);
+  } catch (err) {
+    return null;
   }
+}
 
-  if (LOG_SNAPSHOT) {
-    console.debug('Writing:', fileName);
+/**
+ * Fields of a form request body. File parts are described by their name, type, size and hash.
+ * @param {Request} request
+ * @returns {Promise<SnapshotForm | null>} null when the body isn't a form (or can't be parsed as one)
+ */
+async function readFormBody(request) {
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.includes('application/x-www-form-urlencoded') && !contentType.includes('multipart/form-data')) {
+    return null;
   }
-
-  /** @returns {ReadSnapshotReturnType} */
-  const saveFreshSnapshot = async () => {
-    let requestBody;
-    let responseBody;
-
-    /** @type {'text' | 'json'} */
-    let requestType;
-    const reqContentType = request.headers.get('content-type') || '';
-    if (reqContentType.includes('application/json') || reqContentType.includes('application/x-amz-json-1.0')) {
-      try {
-        requestBody = await request.clone().json();
-        requestType = 'json';
-      } catch (err) {
-        requestBody = await request.clone().text();
-        requestType = 'text';
-      }
+  let formData;
+  try {
+    formData = await request.clone().formData();
+  } catch (err) {
+    return null;
+  }
+  /** @type {SnapshotForm} */
+  const form = {};
+  for (const [name, value] of formData.entries()) {
+    const field = typeof value === 'string' ? value : {
+      filename: value.name,
+      type: value.type,
+      size: value.size,
+      sha256: createHash('sha256').update(Buffer.from(await value.arrayBuffer())).digest('hex'),
+    };
+    const existing = form[name];
+    if (existing === undefined) {
+      form[name] = field;
     } else {
-      requestBody = await request.clone().text();
-      requestType = 'text';
+      form[name] = [...(Array.isArray(existing) ? existing : [existing]), field];
     }
+  }
+  return form;
+}
 
-    /** @type {'text' | 'json'} */
-    let responseType;
-    const resContentType = response.headers.get('content-type') || '';
-    if (resContentType.includes('application/json') || resContentType.includes('application/x-amz-json-1.0')) {
-      try {
-        responseBody = await response.clone().json();
-        responseType = 'json';
-      } catch (err) {
-        responseBody = await response.clone().text();
-        responseType = 'text';
-      }
-    } else {
-      responseBody = await response.clone().text();
-      responseType = 'text';
+/**
+ * @param {SnapshotForm} form
+ * @returns {[string, string | SnapshotFormFile][]} Fields in the order of the form
+ */
+function getFormEntries(form) {
+  return Object.entries(form).flatMap(([name, value]) => (
+    (Array.isArray(value) ? value : [value]).map((field) => /** @type {[string, string | SnapshotFormFile]} */ ([name, field]))
+  ));
+}
+
+/**
+ * Read a request or response body in the format it is stored in a snapshot file.
+ * Binary bodies are stored as base64 so that they can be replayed byte-for-byte. Form request bodies
+ * are stored as their fields.
+ * @param {Request|Response} message
+ * @returns {Promise<{ type: 'json'|'form', body: object } | { type: 'text'|'base64', body: string }>}
+ */
+async function readBodyForSnapshot(message) {
+  const contentType = message.headers.get('content-type') || '';
+  const form = message instanceof Request ? await readFormBody(message) : null;
+  if (form) {
+    return { type: 'form', body: form };
+  }
+  if (contentType.includes('application/json') || contentType.includes('application/x-amz-json-1.0')) {
+    try {
+      return { type: 'json', body: await message.clone().json() };
+    } catch (err) {
+      // Not valid JSON, fall back to text
     }
-    /** @type {Snapshot} */
-    const snapshot = {
+  }
+  const bytes = Buffer.from(await message.clone().arrayBuffer());
+  const text = binaryContentTypeRegex.test(contentType) ? null : decodeUtf8(bytes);
+  if (text === null) {
+    return { type: 'base64', body: bytes.toString('base64') };
+  }
+  return { type: 'text', body: text };
+}
+
+/**
+ * @param {Response} response
+ */
+function isStreamResponse(response) {
+  const contentType = response.headers.get('content-type') || '';
+  return streamingOptions.contentTypes.some((type) => (
+    typeof type === 'string' ? contentType.startsWith(type) : type.test(contentType)
+  ));
+}
+
+/**
+ * Read a streamed response body chunk by chunk, keeping the chunk boundaries
+ * (and the delay between chunks if configured) as received
+ * @param {Response} response
+ * @returns {Promise<SnapshotChunk[]>}
+ */
+async function readChunksForSnapshot(response) {
+  /** @type {SnapshotChunk[]} */
+  const chunks = [];
+  if (!response.body) return chunks;
+  const reader = response.clone().body?.getReader();
+  let lastChunkTime = Date.now();
+  while (reader) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const bytes = Buffer.from(value);
+    const text = decodeUtf8(bytes);
+    /** @type {SnapshotChunk} */
+    const chunk = text === null ? { base64: bytes.toString('base64') } : { text };
+    if (streamingOptions.recordTiming) {
+      chunk.delayMs = Date.now() - lastChunkTime;
+      lastChunkTime = Date.now();
+    }
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/**
+ * Join the chunks of a streamed response body back into the bytes that were received
+ * @param {SnapshotChunk[]} chunks
+ * @returns {Buffer}
+ */
+function joinChunks(chunks) {
+  return Buffer.concat(chunks.map((chunk) => (
+    'text' in chunk ? Buffer.from(chunk.text) : Buffer.from(chunk.base64, 'base64')
+  )));
+}
+
+/**
+ * Write to a temporary file and then rename it to the destination file, so that other
+ * test runner workers never see a partially written file
+ * @param {string} file
+ * @param {string} contents
+ */
+async function writeFileAtomic(file, contents) {
+  const tempFile = `${file}.${process.pid}-${threadId}-${randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(tempFile, contents, 'utf-8');
+    await fs.rename(tempFile, file);
+  } catch (err) {
+    await fs.unlink(tempFile).catch(() => {});
+    throw err;
+  }
+}
+
+// Error codes of connection, DNS, timeout and TLS failures, which are recorded as error snapshots.
+// Other errors (e.g. invalid arguments) are a bug in the caller and are not recorded.
+const networkErrorCodeRegex = /^(?:E(?!RR_)[A-Z0-9_]+|ERR_(?:TLS|SSL)_\w+|UND_ERR_(?:CONNECT_TIMEOUT|HEADERS_TIMEOUT|BODY_TIMEOUT|SOCKET|CLOSED)|UNABLE_TO_\w+|CERT_\w+|DEPTH_ZERO_SELF_SIGNED_CERT|SELF_SIGNED_CERT_IN_CHAIN|HOSTNAME_MISMATCH)$/;
+
+/**
+ * @param {any} err Error thrown by fetch() or emitted by http.request()
+ * @returns {SnapshotNetworkError|null} null if it isn't a network error
+ */
+function toSnapshotNetworkError(err) {
+  // fetch() rejects with TypeError('fetch failed') and the system error as its cause
+  const cause = err instanceof TypeError && err.cause instanceof Error ? err.cause : err;
+  if (!(cause instanceof Error)) return null;
+  const {
+    code, errno, syscall, hostname, address, port,
+  } = /** @type {Error & Partial<SnapshotNetworkError>} */ (cause);
+  if (typeof code !== 'string' || !networkErrorCodeRegex.test(code)) return null;
+  return JSON.parse(JSON.stringify({
+    name: cause.name, message: cause.message, code, errno, syscall, hostname, address, port,
+  }));
+}
+
+/**
+ * Re-create a recorded network error the way the caller would have received it
+ * @param {SnapshotNetworkError} networkError
+ * @param {'fetch'|'http'} source
+ * @returns {Error}
+ */
+function createNetworkError({ name, message, ...props }, source) {
+  const error = Object.assign(
+    name === 'AggregateError' ? new AggregateError([], message) : new Error(message),
+    props,
+  );
+  if (error.name !== name) error.name = name;
+  return source === 'fetch' ? new TypeError('fetch failed', { cause: error }) : error;
+}
+
+// System call that fails with the error code, so that injected errors read like node.js ones
+/** @type {Record<string, string>} */
+const networkErrorSyscalls = {
+  ENOTFOUND: 'getaddrinfo',
+  EAI_AGAIN: 'getaddrinfo',
+  ECONNREFUSED: 'connect',
+  ETIMEDOUT: 'connect',
+  EHOSTUNREACH: 'connect',
+  ENETUNREACH: 'connect',
+};
+
+/**
+ * Network error for an error code injected with injectFault()
+ * @param {string} code
+ * @param {string} url
+ * @returns {SnapshotNetworkError}
+ */
+function createFaultNetworkError(code, url) {
+  // getaddrinfo reports libuv's EAI_NONAME as ENOTFOUND
+  const uvCode = code === 'ENOTFOUND' ? 'EAI_NONAME' : code;
+  const errno = [...getSystemErrorMap()].find(([, [name]]) => name === uvCode)?.[0];
+  if (errno === undefined) {
+    return { name: 'Error', message: code, code };
+  }
+  const syscall = networkErrorSyscalls[code] || 'read';
+  if (syscall === 'getaddrinfo') {
+    const { hostname } = new URL(url);
+    return {
+      name: 'Error', message: `${syscall} ${code} ${hostname}`, code, errno, syscall, hostname,
+    };
+  }
+  return {
+    name: 'Error', message: `${syscall} ${code}`, code, errno, syscall,
+  };
+}
+
+/**
+ * Snapshot of a request and its (real) response, network error or WebSocket conversation, before redaction.
+ * Consumes the response body.
+ * @param {Request} request
+ * @param {Response|SnapshotNetworkError|WebSocketFrame[]} response
+ * @param {string} fileSuffixKey
+ * @returns {Promise<Snapshot>}
+ */
+async function createSnapshot(request, response, fileSuffixKey) {
+  const { type: requestType, body: requestBody } = await readBodyForSnapshot(request);
+  if (Array.isArray(response)) {
+    return {
+      recordedAt: new Date().toISOString(),
+      version: packageVersion,
       requestType,
       request: {
         method: request.method,
@@ -296,22 +1446,87 @@ async function saveSnapshot(request, response, snapshotFileInfo) {
         headers: [...request.headers.entries()],
         body: requestBody,
       },
-      responseType,
+      responseType: 'websocket',
       response: {
-        status: response.status,
-        statusText: response.statusText,
-        headers: [...response.headers.entries()],
-        body: responseBody,
+        status: 101,
+        statusText: 'Switching Protocols',
+        headers: [],
+        body: response,
+      },
+      fileSuffixKey,
+    };
+  }
+  if (!(response instanceof Response)) {
+    return {
+      recordedAt: new Date().toISOString(),
+      version: packageVersion,
+      requestType,
+      request: {
+        method: request.method,
+        url: request.url,
+        headers: [...request.headers.entries()],
+        body: requestBody,
+      },
+      responseType: 'error',
+      response: {
+        status: 0,
+        statusText: '',
+        headers: [],
+        error: response,
       },
       fileSuffixKey,
     };
-    const json = JSON.stringify(snapshot, null, 2);
+  }
+  const { type: responseType, body: responseBody } = isStreamResponse(response)
+    ? { type: 'stream', body: await readChunksForSnapshot(response) }
+    : await readBodyForSnapshot(response);
+  return /** @type {Snapshot} */ ({
+    recordedAt: new Date().toISOString(),
+    version: packageVersion,
+    requestType,
+    request: {
+      method: request.method,
+      url: request.url,
+      headers: [...request.headers.entries()],
+      body: requestBody,
+    },
+    responseType,
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers: [...response.headers.entries()],
+      body: responseBody,
+    },
+    fileSuffixKey,
+  });
+}
+
+/**
+ * @param {Request} request
+ * @param {Response|SnapshotNetworkError|WebSocketFrame[]} response
+ * @param {SnapshotFileInfo} snapshotFileInfo
+ */
+async function saveSnapshot(request, response, snapshotFileInfo) {
+  const { absoluteFilePath, fileName, fileSuffixKey } = snapshotFileInfo;
+  // Prevent multiple tests from having same snapshot
+  if (alreadyWrittenFiles.has(absoluteFilePath)) {
+    return /** @type {ReadSnapshotReturnType} */ (alreadyWrittenFiles.get(absoluteFilePath));
+  }
+
+  if (shouldLogSnapshots()) {
+    console.debug('Writing:', fileName);
+  }
+
+  /** @returns {ReadSnapshotReturnType} */
+  const saveFreshSnapshot = async () => {
+    const snapshot = await createSnapshot(request, response, fileSuffixKey);
+    const json = JSON.stringify(await redactSnapshot(snapshot), null, 2);
     const dir = dirname(absoluteFilePath);
     if (!existingSubDirectories.has(dir)) {
       existingSubDirectories.add(dir);
       await fs.mkdir(dir, { recursive: true });
     }
-    await fs.writeFile(absoluteFilePath, json, 'utf-8');
+    await writeFileAtomic(absoluteFilePath, json);
     return { snapshot, absoluteFilePath, fileName };
   };
 
@@ -320,6 +1535,118 @@ async function saveSnapshot(request, response, snapshotFileInfo) {
   return savePromise;
 }
 
+/**
+ * Replace secrets in a snapshot with a stable placeholder before it is written to disk.
+ * The snapshot file name is computed from the original request, so replay still matches.
+ * @param {Snapshot} snapshot
+ * @param {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>} [generator] Filename
+ * generator of the snapshot, to compute the fileSuffixKey of the redacted request with
+ * @returns {Promise<Snapshot>}
+ */
+async function redactSnapshot(
+  snapshot,
+  generator = getCurrentTestCase().snapshotFileNameGenerator || snapshotFileNameGenerator,
+) {
+  if (!redactionRules) return snapshot;
+  const rules = redactionRules;
+  /** @type {Set<string>} */
+  const redactedValues = new Set();
+  /** @param {any} value */
+  const redact = (value) => {
+    if (value === undefined || value === null || value === '') return value;
+    redactedValues.add(typeof value === 'string' ? value : JSON.stringify(value));
+    return redactedPlaceholder;
+  };
+
+  const headerNames = rules.headers.map((name) => name.toLowerCase());
+  /** @param {string[][]} headers */
+  const redactHeaders = (headers) => headers.map(([name, value]) => (
+    headerNames.includes(name.toLowerCase()) ? [name, redact(value)] : [name, value]
+  ));
+
+  const queryParamNames = rules.queryParams.map((name) => name.toLowerCase());
+  /**
+   * @param {URLSearchParams} params
+   * @returns {boolean} whether any param was redacted
+   */
+  const redactSearchParams = (params) => [...new Set(params.keys())]
+    .filter((name) => queryParamNames.includes(name.toLowerCase()))
+    .map((name) => {
+      params.getAll(name).forEach(redact);
+      params.set(name, redactedPlaceholder);
+      return name;
+    })
+    .length > 0;
+
+  const url = new URL(snapshot.request.url);
+  const isUrlRedacted = redactSearchParams(url.searchParams);
+
+  /**
+   * @param {any} body
+   * @param {string[]} paths
+   */
+  const redactBody = (body, paths) => paths
+    .reduce((redactedBody, path) => replaceAtJsonPath(redactedBody, parseJsonPath(path), redact), body);
+
+  let requestBody = snapshot.request.body;
+  const reqContentType = snapshot.request.headers
+    .find(([name]) => name.toLowerCase() === 'content-type')?.[1] || '';
+  if (snapshot.requestType === 'json') {
+    requestBody = redactBody(requestBody, rules.requestBodyPaths);
+  } else if (snapshot.requestType === 'form') {
+    requestBody = Object.fromEntries(Object.entries(/** @type {SnapshotForm} */ (requestBody)).map(([name, value]) => {
+      if (!queryParamNames.includes(name.toLowerCase())) return [name, value];
+      (Array.isArray(value) ? value : [value]).forEach((field) => {
+        if (typeof field === 'string') redact(field);
+      });
+      return [name, redactedPlaceholder];
+    }));
+  } else if (typeof requestBody === 'string' && reqContentType.includes('application/x-www-form-urlencoded')) {
+    const params = new URLSearchParams(requestBody);
+    if (redactSearchParams(params)) {
+      requestBody = params.toString();
+    }
+  }
+
+  const redacted = /** @type {Snapshot} */ ({
+    ...snapshot,
+    request: {
+      ...snapshot.request,
+      url: isUrlRedacted ? url.toString() : snapshot.request.url,
+      headers: redactHeaders(snapshot.request.headers),
+      body: requestBody,
+    },
+    response: {
+      ...snapshot.response,
+      headers: redactHeaders(snapshot.response.headers),
+      body: snapshot.responseType === 'json'
+        ? redactBody(snapshot.response.body, rules.responseBodyPaths)
+        : snapshot.response.body,
+    },
+  });
+
+  if (!redactedValues.size) return redacted;
+  // fileSuffixKey is only kept for debugging missing snapshots. The key of the redacted request
+  // has the placeholder exactly where the generator put the secrets.
+  try {
+    redacted.fileSuffixKey = (await generator(snapshotToRequest(redacted))).fileSuffixKey;
+  } catch (err) {
+    // e.g. multipart requests with file parts can't be rebuilt. Replace the secret values wherever
+    // they appear in the original key instead.
+    console.error(
+      `${colors.red}Couldn't compute the key of the redacted request, replacing the secrets in the original key:${colors.reset}`,
+      err,
+    );
+    redacted.fileSuffixKey = [...redactedValues].reduce(
+      (key, value) => key
+        .split(value).join(redactedPlaceholder)
+        .split(encodeURIComponent(value)).join(redactedPlaceholder),
+      snapshot.fileSuffixKey,
+    );
+  }
+  return redacted;
+}
+
 // ANSI color codes
 const colors = {
   redBg: '\x1b[41m',
@@ -333,18 +1660,105 @@ const colors = {
 /** @type {Record<string, Snapshot>} */
 const snapshotCache = {};
 
+// Number of recorded responses of a response sequence (only known once read mode runs past the end)
+/** @type {Map<string, number>} */
+const sequenceLengths = new Map();
+
+/**
+ * The first response of a sequence uses the regular file name. Responses after that
+ * are suffixed with their position e.g. `get-example-com-job-arAlFb5gfcr9aCN.2.json`
+ * @param {SnapshotFileInfo} snapshotFileInfo
+ * @param {number} position 1-based position in the response sequence
+ * @returns {SnapshotFileInfo}
+ */
+function getSequenceFileInfo(snapshotFileInfo, position) {
+  if (position === 1) return snapshotFileInfo;
+  const withPosition = (/** @type {string} */ file) => file.replace(/\.json$/, `.${position}.json`);
+  return {
+    ...snapshotFileInfo,
+    absoluteFilePath: withPosition(snapshotFileInfo.absoluteFilePath),
+    fileName: withPosition(snapshotFileInfo.fileName),
+  };
+}
+
+/**
+ * Pick the snapshot file for the next occurrence of a request within the current test case
+ * @param {Request} request
+ * @param {SnapshotFileInfo} snapshotFileInfo
+ * @returns {Promise<SnapshotFileInfo>}
+ */
+async function getNextSequenceFileInfo(request, snapshotFileInfo) {
+  const { sequenceCounters, responseSequence = defaultResponseSequence } = getCurrentTestCase();
+  if (!responseSequence) return snapshotFileInfo;
+
+  const key = snapshotFileInfo.absoluteFilePath;
+  const position = (sequenceCounters.get(key) || 0) + 1;
+  sequenceCounters.set(key, position);
+  if (!['read', 'refresh-stale'].includes(getMode()) || position === 1) {
+    return getSequenceFileInfo(snapshotFileInfo, position);
+  }
+
+  let length = sequenceLengths.get(key);
+  if (length === undefined) {
+    const { absoluteFilePath } = getSequenceFileInfo(snapshotFileInfo, position);
+    const exists = Boolean(snapshotCache[absoluteFilePath])
+      || await fs.access(absoluteFilePath).then(() => true, () => false);
+    if (!exists) {
+      length = position - 1;
+      sequenceLengths.set(key, length);
+    }
+  }
+  if (length === undefined || position <= length) {
+    return getSequenceFileInfo(snapshotFileInfo, position);
+  }
+
+  if (responseSequence === 'fail') {
+    console.error(
+      `${colors.red}Response sequence ran out of snapshots for following request:${colors.reset}`,
+      {
+        snapshotFileName: snapshotFileInfo.fileName,
+        recordedResponses: length,
+        requestNumber: position,
+        request: {
+          url: request.url,
+          method: request.method,
+        },
+      },
+    );
+    throw new Error(`Response sequence exhausted after ${length} response(s)`);
+  }
+  return getSequenceFileInfo(
+    snapshotFileInfo,
+    responseSequence === 'cycle' ? ((position - 1) % length) + 1 : length,
+  );
+}
+
+// Stale snapshots that have been warned about
+const staleSnapshotWarnings = new Set();
+
+/**
+ * Whether a snapshot is older than the `staleness.maxAge` option of start()
+ * @param {Snapshot} snapshot
+ */
+function isStaleSnapshot(snapshot) {
+  if (stalenessOptions.maxAge === undefined) return false;
+  if (!snapshot.recordedAt) return true;
+  return Date.now() - new Date(snapshot.recordedAt).getTime() > parseDuration(stalenessOptions.maxAge);
+}
+
 /**
  * @param {Request} request
  * @param {SnapshotFileInfo} snapshotFileInfo
  */
 async function readSnapshot(request, snapshotFileInfo) {
   const { absoluteFilePath, fileName, fileSuffixKey } = snapshotFileInfo;
+  const snapshotSubDirectory = getCurrentTestCase().directoryName;
   const currentSnapshotDirectory = snapshotDirectory !== null && snapshotSubDirectory
     ? resolve(snapshotDirectory, snapshotSubDirectory)
     : snapshotDirectory;
 
   if (!snapshotCache[absoluteFilePath]) {
-    if (LOG_SNAPSHOT) {
+    if (shouldLogSnapshots()) {
       console.debug('Reading:', fileName);
     }
     let json;
@@ -354,8 +1768,15 @@ async function readSnapshot(request, snapshotFileInfo) {
       // Fail any test that fires a real network request (without snapshot)
       //@ts-ignore
       if (err.code === 'ENOENT') {
-        if (SNAPSHOT === 'append') return {};
+        // Missing snapshots get recorded in these modes
+        if (['append', 'refresh-stale'].includes(getMode())) return {};
         const match = await findClosestSnapshotFile(currentSnapshotDirectory, snapshotFileInfo);
+        if (match) {
+          closestSnapshotMatches.set(request, {
+            file: join(snapshotSubDirectory, match.file),
+            fileSuffixKey: match.fileSuffixKey,
+          });
+        }
         const reqBody = await request.clone().text();
         const debuggingHelperMessage = (match ? [
           ...(match.fileSuffixKey === fileSuffixKey ? [
@@ -391,22 +1812,44 @@ async function readSnapshot(request, snapshotFileInfo) {
       }
     }
     snapshotCache[absoluteFilePath] = JSON.parse(json);
-    readFiles.add(fileName);
+    if (!readFiles.has(fileName)) {
+      readFiles.add(fileName);
+      if (multiWorker && getMode() === 'read') {
+        await recordUsage(fileName);
+      }
+    }
   }
 
   const snapshot = snapshotCache[absoluteFilePath];
+  if (getMode() === 'read' && isStaleSnapshot(snapshot)) {
+    const { maxAge, onStale = 'warn' } = stalenessOptions;
+    const message = `Snapshot ${fileName} is older than ${maxAge} (recorded at ${snapshot.recordedAt || 'unknown date'}). Re-record it with SNAPSHOT=refresh-stale`;
+    if (onStale === 'fail') {
+      console.error(`${colors.red}${message}${colors.reset}`);
+      throw new Error('Snapshot is stale');
+    }
+    if (!staleSnapshotWarnings.has(fileName)) {
+      staleSnapshotWarnings.add(fileName);
+      console.warn(`${colors.yellow}${message}${colors.reset}`);
+    }
+  }
   return { snapshot, absoluteFilePath, fileName };
 }
 
 /** @type {{ [snapshotFile: string]: Snapshot }} */
 const existingSnapshotFilesSuffixKeys = {};
+/**
+ * Closest snapshot file of requests without a snapshot, for the run report
+ * @type {WeakMap<Request, { file: string, fileSuffixKey: string }>}
+ */
+const closestSnapshotMatches = new WeakMap();
 /**
  * @param {string|null} snapshotDirectory
  * @param {SnapshotFileInfo} snapshotFileInfo
  * @returns {Promise<{ file: string, fileSuffixKey: string, differences: DiffChange[] } | null>}
  */
 async function findClosestSnapshotFile(snapshotDirectory, { filePrefix, fileSuffixKey }) {
-  if (SNAPSHOT !== 'read' || snapshotDirectory === null) return null;
+  if (getMode() !== 'read' || snapshotDirectory === null) return null;
   const filesWithSamePrefix = (await readExistingSnapshotFilesList(snapshotDirectory))
     .filter(file => basename(file).startsWith(`${filePrefix}-`));
   const fileContents = (
@@ -449,6 +1892,30 @@ async function findClosestSnapshotFile(snapshotDirectory, { filePrefix, fileSuff
 
 /** @type {{ [dir: string]: string[] }} */
 const existingSnapshotFilesList = {};
+/**
+ * List snapshot files (relative to the directory), leaving out the files used for bookkeeping
+ * @param {string} dir
+ * @param {string} [logFile] unused snapshots log file
+ * @returns {Promise<string[]>}
+ */
+async function listSnapshotFiles(dir, logFile = unusedSnapshotsLogFile) {
+  /** @type {import('node:fs').Dirent[]} */
+  let files;
+  try {
+    files = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+  return files
+    .filter((file) => file.isFile())
+    .map((file) => relative(dir, resolve(file.path, file.name)))
+    .filter((file) => (
+      file !== relative(dir, resolve(dir, logFile))
+      && !file.startsWith(`${usageShardsDirectory}${sep}`)
+      && !file.endsWith('.tmp')
+    ));
+}
+
 /**
  * @param {string|null} snapshotDirectory
  */
@@ -456,18 +1923,468 @@ async function readExistingSnapshotFilesList(snapshotDirectory) {
   if (snapshotDirectory === null) return [];
   const dir = /** @type {string} */(snapshotDirectory);
   if (!existingSnapshotFilesList[dir]) {
-    /** @type {import('node:fs').Dirent[]} */
-    let files;
+    existingSnapshotFilesList[dir] = await listSnapshotFiles(dir);
+  }
+  return existingSnapshotFilesList[dir];
+}
+
+/**
+ * @typedef SnapshotDirectoryEntry
+ * @property {string} fileName Path relative to the snapshot directory
+ * @property {string} absoluteFilePath
+ * @property {string} testCase Test case (sub directory) the snapshot belongs to. Empty string for the root directory.
+ * @property {number} size File size in bytes
+ * @property {Snapshot} snapshot
+ */
+
+/**
+ * Read every snapshot file of a snapshot directory. Useful for tooling built on top of snapshot files.
+ * @param {string} dir Full absolute path to snapshot directory
+ * @returns {Promise<SnapshotDirectoryEntry[]>} sorted by file name
+ */
+async function readSnapshotDirectory(dir) {
+  const files = (await listSnapshotFiles(dir)).filter((file) => file.endsWith('.json')).sort();
+  return Promise.all(files.map(async (fileName) => {
+    const absoluteFilePath = resolve(dir, fileName);
+    const json = await fs.readFile(absoluteFilePath, 'utf-8');
+    /** @type {Snapshot} */
+    let snapshot;
     try {
-      files = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+      snapshot = JSON.parse(json);
     } catch (err) {
-      return [];
+      throw new Error(`Invalid snapshot file ${fileName}: ${/** @type {Error} */ (err).message}`);
+    }
+    const testCase = dirname(fileName);
+    return {
+      fileName,
+      absoluteFilePath,
+      testCase: testCase === '.' ? '' : testCase,
+      size: Buffer.byteLength(json),
+      snapshot,
+    };
+  }));
+}
+
+/**
+ * Rebuild the request that a snapshot was recorded from
+ * @param {Snapshot} snapshot
+ * @returns {Request}
+ */
+function snapshotToRequest({ request, requestType }) {
+  /** @type {BodyInit | undefined} */
+  let body;
+  let { headers } = request;
+  if (requestType === 'json') {
+    body = JSON.stringify(request.body);
+  } else if (requestType === 'form') {
+    const entries = getFormEntries(/** @type {SnapshotForm} */ (request.body));
+    const contentType = headers.find(([name]) => name.toLowerCase() === 'content-type')?.[1] || '';
+    if (contentType.includes('multipart/form-data')) {
+      if (entries.some(([, field]) => typeof field !== 'string')) {
+        throw new Error('Multipart request with file parts can\'t be rebuilt, as only the hash of the files is stored');
+      }
+      const formData = new FormData();
+      entries.forEach(([name, field]) => formData.append(name, /** @type {string} */ (field)));
+      body = formData;
+      // The new body has a boundary of its own
+      headers = headers.filter(([name]) => name.toLowerCase() !== 'content-type');
+    } else {
+      body = new URLSearchParams(/** @type {[string, string][]} */ (entries));
     }
-    existingSnapshotFilesList[dir] = files
-        .filter((file) => file.isFile())
-        .map((file) => relative(dir, resolve(file.path, file.name)))
+  } else if (requestType === 'base64') {
+    body = Buffer.from(/** @type {string} */ (request.body || ''), 'base64');
+  } else {
+    body = /** @type {string | undefined} */ (request.body);
   }
-  return existingSnapshotFilesList[dir];
+  const hasBody = !['GET', 'HEAD'].includes(request.method.toUpperCase()) && body !== undefined && body !== '';
+  return new Request(request.url, {
+    method: request.method,
+    headers: new Headers(/** @type {HeadersInit} */ (headers)),
+    body: hasBody ? body : undefined,
+  });
+}
+
+/**
+ * @typedef RekeyResult
+ * @property {{ from: string, to: string, fromFileSuffixKey: string, toFileSuffixKey: string }[]} renamed
+ * Files that were renamed (or would be, with dryRun)
+ * @property {{ to: string, files: string[] }[]} collisions Files that would end up with the same name,
+ * or with the name of another existing file. These are left as they are.
+ * @property {{ file: string, reason: string }[]} skipped Files that couldn't be re-keyed
+ * @property {number} unchanged Number of files whose name is still the same
+ */
+
+/**
+ * Re-key existing snapshots after changing the filename generator (or after upgrading to a version
+ * whose default generator changed). Each snapshot's request is rebuilt from the snapshot file and run
+ * through the current filename generator. Files whose name changed are renamed, and their fileSuffixKey
+ * updated.
+ * @param {string} dir Full absolute path to snapshot directory
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] Only report what would be renamed
+ * @param {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>} [opts.snapshotFileNameGenerator]
+ * Generator to use. Defaults to the currently attached generator.
+ * @returns {Promise<RekeyResult>}
+ */
+async function rekeySnapshots(dir, {
+  dryRun = false,
+  snapshotFileNameGenerator: generator = getCurrentTestCase().snapshotFileNameGenerator || snapshotFileNameGenerator,
+} = {}) {
+  const entries = await readSnapshotDirectory(dir);
+  /** @type {RekeyResult} */
+  const result = { renamed: [], collisions: [], skipped: [], unchanged: 0 };
+  /** @type {Map<string, { entry: SnapshotDirectoryEntry, fileSuffixKey: string }[]>} */
+  const filesByNewName = new Map();
+
+  for (const entry of entries) {
+    const { fileName, testCase, snapshot } = entry;
+    let filePrefix;
+    let fileSuffixKey;
+    try {
+      ({ filePrefix, fileSuffixKey } = await generator(snapshotToRequest(snapshot)));
+    } catch (err) {
+      result.skipped.push({ file: fileName, reason: /** @type {Error} */ (err).message });
+      continue;
+    }
+    if (fileSuffixKey.includes(redactedPlaceholder)) {
+      result.skipped.push({ file: fileName, reason: 'redacted values are part of the fileSuffixKey' });
+      continue;
+    }
+    // Keep the position of response sequence files
+    const sequenceSuffix = basename(fileName).match(/\.\d+\.json$/)?.[0] || '.json';
+    const newFileName = join(
+      testCase,
+      getSnapshotBaseName(filePrefix, fileSuffixKey).replace(/\.json$/, sequenceSuffix),
+    );
+    filesByNewName.set(newFileName, [...(filesByNewName.get(newFileName) || []), { entry, fileSuffixKey }]);
+  }
+
+  /** @type {{ entry: SnapshotDirectoryEntry, fileSuffixKey: string, to: string }[]} */
+  const moves = [];
+  filesByNewName.forEach((items, to) => {
+    const [{ entry, fileSuffixKey }] = items;
+    if (items.length === 1 && entry.fileName === to) {
+      result.unchanged += 1;
+      return;
+    }
+    const occupiedByUnchangedFile = entries.some(({ fileName }) => (
+      fileName === to && !items.some((item) => item.entry.fileName === fileName)
+    ));
+    if (items.length > 1 || occupiedByUnchangedFile) {
+      result.collisions.push({
+        to,
+        files: items.map((item) => item.entry.fileName).filter((file) => file !== to),
+      });
+      return;
+    }
+    moves.push({ entry, fileSuffixKey, to });
+  });
+
+  if (!dryRun) {
+    // Moves can swap file names with each other, so write all new files under a temporary name first.
+    // Old files are only removed once every new file is written.
+    /** @type {string[]} */
+    const stagedFiles = [];
+    try {
+      for (const { entry, fileSuffixKey, to } of moves) {
+        const stagedFile = `${resolve(dir, to)}.rekey.tmp`;
+        await fs.mkdir(dirname(stagedFile), { recursive: true });
+        await writeFileAtomic(stagedFile, JSON.stringify({ ...entry.snapshot, fileSuffixKey }, null, 2));
+        stagedFiles.push(stagedFile);
+      }
+    } catch (err) {
+      await Promise.all(stagedFiles.map((stagedFile) => fs.unlink(stagedFile).catch(() => {})));
+      throw err;
+    }
+    await Promise.all(moves.map(({ entry }) => fs.unlink(entry.absoluteFilePath)));
+    await Promise.all(moves.map(({ to }) => fs.rename(`${resolve(dir, to)}.rekey.tmp`, resolve(dir, to))));
+  }
+  for (const { entry, fileSuffixKey, to } of moves) {
+    result.renamed.push({
+      from: entry.fileName,
+      to,
+      fromFileSuffixKey: entry.snapshot.fileSuffixKey,
+      toFileSuffixKey: fileSuffixKey,
+    });
+  }
+  return result;
+}
+
+/**
+ * Subset of HAR 1.2 format (http://www.softwareishard.com/blog/har-12-spec/) used by importHar() / exportHar()
+ * @typedef {{ name: string, value: string }} HarHeader
+ * @typedef {{ name: string, value?: string, fileName?: string, contentType?: string }} HarParam
+ * @typedef HarEntry
+ * @property {string} startedDateTime
+ * @property {number} time
+ * @property {object} request
+ * @property {string} request.method
+ * @property {string} request.url
+ * @property {string} [request.httpVersion]
+ * @property {HarHeader[]} request.headers
+ * @property {HarHeader[]} [request.queryString]
+ * @property {HarHeader[]} [request.cookies]
+ * @property {number} [request.headersSize]
+ * @property {number} [request.bodySize]
+ * @property {{ mimeType: string, text?: string, encoding?: string, params?: HarParam[] }} [request.postData]
+ * @property {object} response
+ * @property {number} response.status
+ * @property {string} response.statusText
+ * @property {string} [response.httpVersion]
+ * @property {HarHeader[]} response.headers
+ * @property {HarHeader[]} [response.cookies]
+ * @property {{ size: number, mimeType: string, text?: string, encoding?: string }} response.content
+ * @property {string} [response.redirectURL]
+ * @property {number} [response.headersSize]
+ * @property {number} [response.bodySize]
+ * @property {string} [response._error] Network error of a request that didn't get a response
+ * @property {Omit<SnapshotTimings, 'startedDateTime' | 'time'>} timings
+ * @property {{ type: 'send' | 'receive', time: number, opcode: number, data: string }[]} [_webSocketMessages]
+ * Messages of a WebSocket connection, in the format of browser devtools
+ * @typedef {{ log: { version: string, creator: { name: string, version: string }, entries: HarEntry[] } }} Har
+ */
+
+// Responses with these statuses can't have a body
+const nullBodyStatuses = [101, 204, 205, 304];
+
+/**
+ * Convert the entries of a HAR file (e.g. exported from browser devtools or a proxy) into snapshot files.
+ * File names come from the active filename generator, same as recorded snapshots. Redaction rules of
+ * start() are applied.
+ * @param {Har} har Parsed HAR file
+ * @param {string} dir Full absolute path to snapshot directory
+ * @param {object} [opts]
+ * @param {string} [opts.testCase] Test case (sub directory) to write the snapshots into
+ * @param {boolean} [opts.responseSequence] Write repeats of an identical request as a response sequence
+ * (check `responseSequence` option of start()). By default only the first of identical requests is imported.
+ * @param {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>} [opts.snapshotFileNameGenerator]
+ * Generator to use. Defaults to the currently attached generator.
+ * @returns {Promise<{ written: string[], skipped: { url: string, reason: string }[] }>}
+ */
+async function importHar(har, dir, {
+  testCase = '',
+  responseSequence = false,
+  snapshotFileNameGenerator: generator = getCurrentTestCase().snapshotFileNameGenerator || snapshotFileNameGenerator,
+} = {}) {
+  /** @type {{ written: string[], skipped: { url: string, reason: string }[] }} */
+  const result = { written: [], skipped: [] };
+  /** @type {Map<string, number>} */
+  const occurrences = new Map();
+  for (const entry of har.log.entries) {
+    const { request: harRequest, response: harResponse } = entry;
+    if (!harResponse.status) {
+      result.skipped.push({ url: harRequest.url, reason: 'request did not get a response' });
+      continue;
+    }
+    /** @param {HarHeader[]} headers */
+    const toHeaders = (headers) => new Headers(headers
+      // HTTP/2 pseudo headers like :authority aren't valid header names
+      .filter(({ name }) => !name.startsWith(':'))
+      .map(({ name, value }) => /** @type {[string, string]} */ ([name, value])));
+    /** @param {{ text?: string, encoding?: string } | undefined} content */
+    const toBody = (content) => (content?.encoding === 'base64'
+      ? Buffer.from(content.text || '', 'base64')
+      : content?.text);
+
+    const requestHeaders = toHeaders(harRequest.headers);
+    if (harRequest.postData?.mimeType && !requestHeaders.has('content-type')) {
+      requestHeaders.set('content-type', harRequest.postData.mimeType);
+    }
+    const request = new Request(harRequest.url, {
+      method: harRequest.method,
+      headers: requestHeaders,
+      body: ['GET', 'HEAD'].includes(harRequest.method.toUpperCase()) ? undefined : toBody(harRequest.postData),
+    });
+    const responseHeaders = toHeaders(harResponse.headers);
+    if (harResponse.content.mimeType && !responseHeaders.has('content-type')) {
+      responseHeaders.set('content-type', harResponse.content.mimeType);
+    }
+    const response = new Response(nullBodyStatuses.includes(harResponse.status) ? null : toBody(harResponse.content), {
+      status: harResponse.status,
+      statusText: harResponse.statusText,
+      headers: responseHeaders,
+    });
+
+    const snapshotFileInfo = await withTestCase(
+      testCase,
+      () => getSnapshotFileInfo(request, dir),
+      { snapshotFileNameGenerator: generator },
+    );
+    const position = (occurrences.get(snapshotFileInfo.fileName) || 0) + 1;
+    occurrences.set(snapshotFileInfo.fileName, position);
+    if (position > 1 && !responseSequence) {
+      result.skipped.push({ url: harRequest.url, reason: `repeat of an identical request (${snapshotFileInfo.fileName})` });
+      continue;
+    }
+    const { absoluteFilePath, fileName } = getSequenceFileInfo(snapshotFileInfo, position);
+
+    const snapshot = await createSnapshot(request, response, snapshotFileInfo.fileSuffixKey);
+    snapshot.recordedAt = new Date(entry.startedDateTime).toISOString();
+    snapshot.timings = {
+      startedDateTime: entry.startedDateTime,
+      time: entry.time,
+      ...entry.timings,
+    };
+    await fs.mkdir(dirname(absoluteFilePath), { recursive: true });
+    await writeFileAtomic(absoluteFilePath, JSON.stringify(await redactSnapshot(snapshot, generator), null, 2));
+    result.written.push(fileName);
+  }
+  return result;
+}
+
+/**
+ * Export snapshots to HAR format, e.g. to inspect them in browser devtools
+ * @param {string} dir Full absolute path to snapshot directory
+ * @param {object} [opts]
+ * @param {string} [opts.testCase] Only export snapshots of this test case (sub directory)
+ * @returns {Promise<Har>}
+ */
+async function exportHar(dir, { testCase } = {}) {
+  const entries = (await readSnapshotDirectory(dir)).filter((entry) => (
+    testCase === undefined || entry.testCase === testCase || entry.testCase.startsWith(`${testCase}${sep}`)
+  ));
+  /** @param {string[][]} headers */
+  const toHarHeaders = (headers) => headers.map(([name, value]) => ({ name, value }));
+  /** @param {string[][]} headers */
+  const getContentType = (headers) => headers
+    .find(([name]) => name.toLowerCase() === 'content-type')?.[1] || '';
+
+  const harEntries = entries.map(({ snapshot }) => {
+    const { request, response } = snapshot;
+    /** @type {{ text?: string, encoding?: string, params?: HarParam[] }} */
+    let requestContent = {};
+    if (snapshot.requestType === 'json') {
+      requestContent = { text: JSON.stringify(request.body) };
+    } else if (snapshot.requestType === 'form') {
+      const entries = getFormEntries(/** @type {SnapshotForm} */ (request.body));
+      const params = entries.map(([name, field]) => (typeof field === 'string'
+        ? { name, value: field }
+        : { name, fileName: field.filename, contentType: field.type }));
+      requestContent = getContentType(request.headers).includes('multipart/form-data')
+        ? { params }
+        : { text: new URLSearchParams(/** @type {[string, string][]} */ (entries)).toString(), params };
+    } else if (snapshot.requestType === 'base64') {
+      requestContent = { text: /** @type {string} */ (request.body), encoding: 'base64' };
+    } else if (request.body) {
+      requestContent = { text: /** @type {string} */ (request.body) };
+    }
+
+    /** @type {{ text?: string, encoding?: string }} */
+    let responseContent = {};
+    if (snapshot.responseType === 'json') {
+      responseContent = { text: JSON.stringify(snapshot.response.body) };
+    } else if (snapshot.responseType === 'stream') {
+      const chunks = snapshot.response.body;
+      responseContent = chunks.every((chunk) => 'text' in chunk)
+        ? { text: chunks.map((chunk) => ('text' in chunk ? chunk.text : '')).join('') }
+        : { text: joinChunks(chunks).toString('base64'), encoding: 'base64' };
+    } else if (snapshot.responseType === 'base64') {
+      responseContent = { text: snapshot.response.body, encoding: 'base64' };
+    } else if (snapshot.responseType === 'websocket') {
+      responseContent = {};
+    } else if (snapshot.response.body !== undefined) {
+      responseContent = { text: snapshot.response.body };
+    }
+    const responseSize = responseContent.text === undefined
+      ? 0
+      : Buffer.byteLength(responseContent.text, responseContent.encoding === 'base64' ? 'base64' : 'utf-8');
+
+    const {
+      startedDateTime = snapshot.recordedAt || new Date().toISOString(),
+      time = 0,
+      ...timings
+    } = snapshot.timings || {};
+    /** @type {HarEntry} */
+    const harEntry = {
+      startedDateTime,
+      time,
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: 'HTTP/1.1',
+        headers: toHarHeaders(request.headers),
+        queryString: [...new URL(request.url).searchParams].map(([name, value]) => ({ name, value })),
+        cookies: [],
+        headersSize: -1,
+        bodySize: requestContent.text === undefined && !requestContent.params ? 0 : -1,
+        ...(requestContent.text === undefined && !requestContent.params ? {} : {
+          postData: { mimeType: getContentType(request.headers), ...requestContent },
+        }),
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        httpVersion: 'HTTP/1.1',
+        headers: toHarHeaders(response.headers),
+        cookies: [],
+        content: { size: responseSize, mimeType: getContentType(response.headers), ...responseContent },
+        redirectURL: response.headers.find(([name]) => name.toLowerCase() === 'location')?.[1] || '',
+        headersSize: -1,
+        bodySize: -1,
+        ...(snapshot.responseType === 'error' ? {
+          _error: `${snapshot.response.error.code}: ${snapshot.response.error.message}`,
+        } : {}),
+      },
+      timings: {
+        send: 0, wait: time, receive: 0, ...timings,
+      },
+      // Same as browser devtools export WebSocket messages. Frames aren't timed, so they all get the start time.
+      ...(snapshot.responseType === 'websocket' ? {
+        _webSocketMessages: snapshot.response.body.flatMap((frame) => {
+          if ('close' in frame) return [];
+          return [{
+            type: frame.from === 'client' ? 'send' : 'receive',
+            time: new Date(startedDateTime).getTime() / 1000,
+            opcode: 'text' in frame ? 1 : 2,
+            data: 'text' in frame ? frame.text : frame.base64,
+          }];
+        }),
+      } : {}),
+    };
+    return harEntry;
+  });
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'http-snapshotter', version: packageVersion },
+      entries: harEntries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime)),
+    },
+  };
+}
+
+/**
+ * Append a read snapshot file to this worker's usage shard
+ * @param {string} fileName
+ */
+async function recordUsage(fileName) {
+  const shardsDir = resolve(/** @type {string} */ (snapshotDirectory), usageShardsDirectory, getRunId());
+  if (!existingSubDirectories.has(shardsDir)) {
+    existingSubDirectories.add(shardsDir);
+    await fs.mkdir(shardsDir, { recursive: true });
+  }
+  await fs.appendFile(resolve(shardsDir, `${process.pid}-${threadId}.log`), `${fileName}\n`, 'utf-8');
+}
+
+/**
+ * Write the list of unused snapshot files to the unused snapshots log file, or remove the
+ * log file if there are none
+ * @param {string} dir
+ * @param {Set<string>} usedFiles
+ * @param {string} [logFile] Path to log file, relative to the snapshot directory or absolute
+ * @returns {Promise<string[]>} unused files
+ */
+async function writeUnusedSnapshotsLog(dir, usedFiles, logFile = unusedSnapshotsLogFile) {
+  const unusedFiles = (await listSnapshotFiles(dir, logFile)).filter((file) => !usedFiles.has(file));
+  if (unusedFiles.length) {
+    await writeFileAtomic(resolve(dir, logFile), unusedFiles.join('\n'));
+  } else {
+    await fs
+      .unlink(resolve(dir, logFile))
+      .catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+  }
+  return unusedFiles;
 }
 
 /**
@@ -487,11 +2404,258 @@ function showColoredDiff(differences) {
   return output;
 }
 
+/** @type {VerifyOptions} */
+let verifyOptions = {};
+/** @type {SnapshotDrift[]} */
+let snapshotDrift = [];
+
+/**
+ * Differences between two JSON values, down to the leaf values
+ * @param {any} expected
+ * @param {any} actual
+ * @param {string[]} [path] Path segments of the values
+ * @returns {{ segments: string[], expected: any, actual: any }[]}
+ */
+function diffJson(expected, actual, path = []) {
+  const bothObjects = typeof expected === 'object' && expected !== null
+    && typeof actual === 'object' && actual !== null
+    && Array.isArray(expected) === Array.isArray(actual);
+  if (!bothObjects) {
+    return stableStringify(expected) === stableStringify(actual)
+      ? []
+      : [{ segments: path, expected, actual }];
+  }
+  const keys = Array.isArray(expected)
+    ? Array.from({ length: Math.max(expected.length, actual.length) }, (_, index) => String(index))
+    : [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+  return keys.flatMap((key) => diffJson(expected[key], actual[key], [...path, key]));
+}
+
+/**
+ * @param {string[]} segments
+ */
+function formatJsonPath(segments) {
+  return `$${segments.map((segment) => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`)).join('')}`;
+}
+
+/**
+ * Whether a JSON path (or any of its parents) matches one of the paths
+ * @param {string[]} segments
+ * @param {string[]} paths
+ */
+function isJsonPathIgnored(segments, paths) {
+  return paths.some((path) => {
+    const pattern = parseJsonPath(path);
+    return pattern.length <= segments.length
+      && pattern.every((segment, index) => segment === '*' || segment === segments[index]);
+  });
+}
+
+/**
+ * Compare a live response with the stored snapshot, without overwriting it
+ * @param {Request} request
+ * @param {Response} response
+ * @param {SnapshotFileInfo} snapshotFileInfo
+ */
+async function verifySnapshot(request, response, snapshotFileInfo) {
+  const { absoluteFilePath, fileName, fileSuffixKey } = snapshotFileInfo;
+  /** @type {SnapshotDrift} */
+  const drift = {
+    fileName,
+    request: { method: request.method, url: request.url },
+    missingSnapshot: false,
+    differences: [],
+  };
+  const exists = Boolean(snapshotCache[absoluteFilePath])
+    || await fs.access(absoluteFilePath).then(() => true, () => false);
+  if (!exists) {
+    drift.missingSnapshot = true;
+  } else {
+    const expected = /** @type {Snapshot} */ ((await readSnapshot(request, snapshotFileInfo)).snapshot);
+    // Compare with what would have been written to the snapshot file
+    /** @type {Snapshot} */
+    const actual = JSON.parse(JSON.stringify(await redactSnapshot(await createSnapshot(request, response, fileSuffixKey))));
+
+    if (expected.response.status !== actual.response.status) {
+      drift.differences.push({
+        kind: 'status', path: 'status', expected: expected.response.status, actual: actual.response.status,
+      });
+    }
+    /** @param {string[][]} headers @param {string} name */
+    const getHeader = (headers, name) => headers
+      .find(([headerName]) => headerName.toLowerCase() === name.toLowerCase())?.[1];
+    (verifyOptions.headers || ['content-type']).forEach((name) => {
+      const expectedValue = getHeader(expected.response.headers, name);
+      const actualValue = getHeader(actual.response.headers, name);
+      if (expectedValue !== actualValue) {
+        drift.differences.push({
+          kind: 'header', path: name.toLowerCase(), expected: expectedValue, actual: actualValue,
+        });
+      }
+    });
+    if (expected.responseType === 'json' && actual.responseType === 'json') {
+      const ignoreBodyPaths = verifyOptions.ignoreBodyPaths || [];
+      diffJson(expected.response.body, actual.response.body)
+        .filter(({ segments }) => !isJsonPathIgnored(segments, ignoreBodyPaths))
+        .forEach(({ segments, expected: expectedValue, actual: actualValue }) => {
+          drift.differences.push({
+            kind: 'body', path: formatJsonPath(segments), expected: expectedValue, actual: actualValue,
+          });
+        });
+    } else if (expected.responseType === 'stream' && actual.responseType === 'stream') {
+      // Chunk boundaries depend on the network, only the joined content is part of the contract
+      const expectedBody = joinChunks(expected.response.body);
+      const actualBody = joinChunks(actual.response.body);
+      if (!expectedBody.equals(actualBody)) {
+        drift.differences.push({
+          kind: 'body',
+          path: '$',
+          expected: decodeUtf8(expectedBody) ?? expectedBody.toString('base64'),
+          actual: decodeUtf8(actualBody) ?? actualBody.toString('base64'),
+        });
+      }
+    } else if (stableStringify(expected.response.body) !== stableStringify(actual.response.body)) {
+      drift.differences.push({
+        kind: 'body', path: '$', expected: expected.response.body, actual: actual.response.body,
+      });
+    }
+  }
+
+  if (drift.missingSnapshot || drift.differences.length) {
+    snapshotDrift.push(drift);
+    console.error(
+      `${colors.red}${drift.missingSnapshot ? 'No snapshot to verify' : 'Snapshot drifted from live response'}:${colors.reset}`,
+      `${request.method} ${request.url} (${fileName})`,
+      ...drift.differences.map(({ kind, path, expected, actual }) => (
+        `\n  ${kind} ${path}: ${colors.red}${JSON.stringify(expected)}${colors.reset} -> ${colors.yellow}${JSON.stringify(actual)}${colors.reset}`
+      )),
+    );
+  } else if (shouldLogSnapshots()) {
+    console.debug('Verified:', fileName);
+  }
+}
+
+/**
+ * Differences found between live responses and snapshots since start(), in verify mode (SNAPSHOT=verify,
+ * or the mode of a test case)
+ * @returns {SnapshotDrift[]}
+ */
+function getSnapshotDrift() {
+  return [...snapshotDrift];
+}
+
+/**
+ * Create a stream that emits recorded chunks one by one, with the recorded delays
+ * @param {SnapshotChunk[]} chunks
+ * @param {number} [abortAfterChunks]
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function createChunkStream(chunks, abortAfterChunks) {
+  let index = 0;
+  return new ReadableStream({
+    async pull(streamController) {
+      if (abortAfterChunks !== undefined && index >= abortAfterChunks) {
+        streamController.error(new Error(`Stream aborted after ${abortAfterChunks} chunk(s) as configured in snapshot file`));
+        return;
+      }
+      const chunk = chunks[index];
+      if (!chunk) {
+        streamController.close();
+        return;
+      }
+      index += 1;
+      if (chunk.delayMs) {
+        await setTimeout(chunk.delayMs);
+      }
+      streamController.enqueue('base64' in chunk ? Buffer.from(chunk.base64, 'base64') : Buffer.from(chunk.text));
+    },
+  });
+}
+
+/**
+ * Copy of a response whose body breaks off after the given number of bytes. fetch() callers get
+ * a body stream error. http.request() callers get a response that ends before its content-length,
+ * which node.js reports as an aborted response (the interceptor can't error an http response midway).
+ * @param {Response} response
+ * @param {number} byteLength
+ * @returns {Response}
+ */
+function truncateResponse(response, byteLength) {
+  const { source = 'http' } = callerStorage.getStore() || {};
+  const reader = response.body?.getReader();
+  let remaining = byteLength;
+  let truncated = false;
+  const body = new ReadableStream({
+    async pull(streamController) {
+      const result = !truncated && reader ? await reader.read() : undefined;
+      if (result && !result.done) {
+        const chunk = result.value.subarray(0, remaining);
+        remaining -= chunk.byteLength;
+        truncated = chunk.byteLength < result.value.byteLength;
+        if (chunk.byteLength || !truncated) {
+          streamController.enqueue(chunk);
+          return;
+        }
+      }
+      if (truncated && source === 'fetch') {
+        streamController.error(new Error(`Response body truncated after ${byteLength} byte(s) by injected fault`));
+      } else {
+        streamController.close();
+      }
+    },
+    cancel(reason) {
+      return reader?.cancel(reason);
+    },
+  }, {
+    // Only read when the caller reads, as erroring the stream discards chunks the caller hasn't read yet
+    highWaterMark: 0,
+  });
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+/**
+ * Fail the request with a network error, the way the caller (fetch() or http.request()) receives it
+ * @param {RequestController} controller
+ * @param {SnapshotNetworkError} networkError
+ */
+function sendNetworkError(controller, networkError) {
+  const { source = 'http' } = callerStorage.getStore() || {};
+  controller.errorWith(createNetworkError(networkError, source));
+}
+
 /**
  * @param {RequestController} controller
  * @param {Snapshot} snapshot
+ * @param {object} [opts]
+ * @param {number} [opts.truncateBodyAt] Error the response body after this many bytes (injected fault)
  */
-async function sendResponse(controller, snapshot) {
+async function sendResponse(controller, snapshot, { truncateBodyAt } = {}) {
+  if (snapshot.responseType === 'error') {
+    sendNetworkError(controller, snapshot.response.error);
+    return undefined;
+  }
+  if (snapshot.responseType === 'stream') {
+    const { status, statusText, headers, body, abortAfterChunks } = snapshot.response;
+    let newResponse = new Response(createChunkStream(body, abortAfterChunks), {
+      status,
+      statusText,
+      // Chunks are stored decoded, so the original encoding and length no longer apply
+      headers: new Headers(/** @type HeadersInit */ (headers.filter(([name]) => (
+        !['content-encoding', 'content-length'].includes(name.toLowerCase())
+      )))),
+    });
+    if (truncateBodyAt !== undefined) {
+      newResponse = truncateResponse(newResponse, truncateBodyAt);
+    }
+    //@ts-ignore
+    controller.respondWith(newResponse);
+    return newResponse;
+  }
+
   const {
     responseType,
     response: {
@@ -502,10 +2666,15 @@ async function sendResponse(controller, snapshot) {
     },
   } = snapshot;
 
-  /** @type {string} */
-  let encodedBody = responseType === 'json'
-    ? JSON.stringify(body)
-    : /** @type {string} */ (body || '');
+  /** @type {string|Buffer} */
+  let encodedBody;
+  if (responseType === 'json') {
+    encodedBody = JSON.stringify(body);
+  } else if (responseType === 'base64') {
+    encodedBody = Buffer.from(/** @type {string} */ (body || ''), 'base64');
+  } else {
+    encodedBody = /** @type {string} */ (body || '');
+  }
   /** @type {Buffer} */
   let bufferBody;
   const contentEncoding = headers.find(tuple => tuple[0]?.toLowerCase() === 'content-encoding');
@@ -532,7 +2701,7 @@ async function sendResponse(controller, snapshot) {
     bufferBody = Buffer.from(encodedBody)
   }
 
-  const newResponse = new Response(
+  let newResponse = new Response(
     bufferBody,
     {
       status,
@@ -546,6 +2715,10 @@ async function sendResponse(controller, snapshot) {
       }))),
     },
   );
+  if (truncateBodyAt !== undefined) {
+    newResponse.headers.set('content-length', String(bufferBody.byteLength));
+    newResponse = truncateResponse(newResponse, truncateBodyAt);
+  }
   //@ts-ignore
   controller.respondWith(newResponse);
   return newResponse;
@@ -555,64 +2728,351 @@ async function sendResponse(controller, snapshot) {
  * @param {Request} request
  * @param {RequestController} controller
  * @param {SnapshotFileInfo} snapshotFileInfo
+ * @param {object} [opts]
+ * @param {number} [opts.truncateBodyAt] Error the response body after this many bytes (injected fault)
+ * @returns {Promise<Snapshot|undefined>} Snapshot that was replayed, if any
  */
-async function readSnapshotAndSendResponse(request, controller, snapshotFileInfo) {
+async function readSnapshotAndSendResponse(request, controller, snapshotFileInfo, opts) {
   const { snapshot } = await readSnapshot(request, snapshotFileInfo);
   if (snapshot) {
-    return sendResponse(controller, snapshot);
+    await sendResponse(controller, snapshot, opts);
+  }
+  return snapshot;
+}
+
+/** @typedef {import('@mswjs/interceptors/WebSocket').WebSocketConnectionData} WebSocketConnectionData */
+
+/**
+ * @param {'client'|'server'} from
+ * @param {any} data Message data: string, Blob, ArrayBuffer or typed array
+ * @returns {Promise<WebSocketFrame>}
+ */
+async function toWebSocketFrame(from, data) {
+  if (typeof data === 'string') return { from, text: data };
+  let bytes;
+  if (data instanceof Blob) {
+    bytes = Buffer.from(await data.arrayBuffer());
+  } else if (ArrayBuffer.isView(data)) {
+    bytes = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  } else {
+    bytes = Buffer.from(data);
   }
-  return undefined;
+  return { from, base64: bytes.toString('base64') };
+}
+
+/**
+ * Message data of a frame, in the form the client expects binary messages in
+ * @param {{ text: string } | { base64: string }} frame
+ * @param {BinaryType} binaryType
+ */
+function toWebSocketData(frame, binaryType) {
+  if ('text' in frame) return frame.text;
+  const bytes = Buffer.from(frame.base64, 'base64');
+  const arrayBuffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  return binaryType === 'arraybuffer' ? arrayBuffer : new Blob([arrayBuffer]);
+}
+
+/**
+ * Replay the server frames of a recorded WebSocket conversation. Frames before the first client message are
+ * sent right away, and the ones following a client message once the client sends the same message.
+ * Matching client messages are looked up after the last matched one first, then from the start
+ * (e.g. for pings).
+ * @param {WebSocketConnectionData['client']} client
+ * @param {WebSocketFrame[]} frames
+ * @param {string} snapshotFileName
+ * @param {(err: Error) => void} onError Called when the client sends a message that wasn't recorded
+ * @returns {(data: any) => void} Handler for the messages the client sends
+ */
+function replayWebSocket(client, frames, snapshotFileName, onError) {
+  let position = 0;
+  const sendServerFrames = () => {
+    for (; position < frames.length && frames[position].from === 'server'; position += 1) {
+      const frame = frames[position];
+      if ('close' in frame) {
+        const { code, reason } = frame.close;
+        // Let the messages sent before it reach the client first
+        setImmediate(() => client.close(code, reason));
+        return;
+      }
+      client.send(toWebSocketData(frame, client.socket.binaryType));
+    }
+  };
+
+  sendServerFrames();
+  let queue = Promise.resolve();
+  return (data) => {
+    // Reading binary messages is async, keep them in order
+    queue = queue.then(async () => {
+      const message = await toWebSocketFrame('client', data);
+      /** @param {WebSocketFrame} frame */
+      const isMatch = (frame) => frame.from === 'client' && (
+        ('text' in frame && 'text' in message && frame.text === message.text)
+        || ('base64' in frame && 'base64' in message && frame.base64 === message.base64)
+      );
+      let index = frames.findIndex((frame, i) => i >= position && isMatch(frame));
+      if (index === -1) index = frames.findIndex(isMatch);
+      if (index === -1) {
+        console.error(
+          `${colors.red}No WebSocket snapshot frame found for client message:${colors.reset}`,
+          { url: client.url.href, snapshotFileName, message },
+        );
+        onError(new Error('WebSocket message not mocked'));
+        return;
+      }
+      position = index + 1;
+      sendServerFrames();
+    });
+  };
 }
 
 /** @typedef {import('@mswjs/interceptors/ClientRequest').ClientRequestInterceptor} ClientRequestInterceptorType */
 /** @typedef {import('@mswjs/interceptors/fetch').FetchInterceptor} FetchInterceptorType */
+/** @typedef {import('@mswjs/interceptors/XMLHttpRequest').XMLHttpRequestInterceptor} XMLHttpRequestInterceptorType */
 /**
- * @type {import('@mswjs/interceptors').BatchInterceptor<(ClientRequestInterceptorType|FetchInterceptorType)[]>|null}
+ * @type {import('@mswjs/interceptors').BatchInterceptor<
+ *  (ClientRequestInterceptorType|FetchInterceptorType|XMLHttpRequestInterceptorType)[]
+ * >|null}
  */
 let interceptor = null;
+// Put back the functions that the interceptor patched, in place of the wrappers start() adds around them
+/** @type {(() => void)[]} */
+let unwrapCallerFunctions = [];
 
-let beforeExitEventSeen = false;
+let unusedSnapshotsLogWritten = false;
+let reportWritten = false;
+let driftReported = false;
 process.on('beforeExit', async () => {
-  if (SNAPSHOT === 'read' && !beforeExitEventSeen && snapshotDirectory !== null) {
-    beforeExitEventSeen = true;
+  if (reportFile && !reportWritten) {
+    reportWritten = true;
+    await writeFileAtomic(resolve(reportFile), JSON.stringify(getRunReport(), null, 2))
+      .catch((err) => console.error(err));
+  }
+  if (getMode() === 'read' && !unusedSnapshotsLogWritten && snapshotDirectory !== null) {
+    unusedSnapshotsLogWritten = true;
+    // Other workers may still be running. finalizeUnusedSnapshots() writes the log once all are done.
+    if (multiWorker) return;
     const dir = /** @type {string} */(snapshotDirectory);
-    const unusedFiles = (await readExistingSnapshotFilesList(dir))
-      .filter((file) => (!readFiles.has(file) && file !== unusedSnapshotsLogFile)); 
-    if (unusedFiles.length) {
-      await fs
-        .writeFile(
-          resolve(dir, unusedSnapshotsLogFile),
-          unusedFiles.join('\n'),
-          'utf-8',
-        )
-        .catch((err) => console.error(err));
-    } else {
-      await fs
-        .unlink(resolve(dir, unusedSnapshotsLogFile))
-        .catch((err) => {
-          if (err.code !== 'ENOENT') {
-            console.error(err);
-          }
-        });
-    }
+    await writeUnusedSnapshotsLog(dir, readFiles).catch((err) => console.error(err));
+  }
+  // Let a CI job fail when a third-party API no longer matches the snapshots. Test cases can be in
+  // verify mode regardless of the global mode.
+  if (snapshotDrift.length && !driftReported) {
+    driftReported = true;
+    console.error(`${colors.red}${snapshotDrift.length} request(s) drifted from their snapshots${colors.reset}`);
+    process.exitCode = 1;
   }
 });
 
+/**
+ * @returns {string} ID of the test run set by startMultiWorkerRun()
+ */
+function getRunId() {
+  const runId = process.env[runIdEnvVariable];
+  if (!runId) {
+    throw new Error('Call startMultiWorkerRun() before starting the workers (e.g. from the global setup of your test runner) when using multiWorker: true');
+  }
+  return runId;
+}
+
+/**
+ * Start a test run whose workers use `multiWorker: true`. Call this once before the workers start
+ * (e.g. from the global setup of your test runner). The workers inherit the run ID through the
+ * HTTP_SNAPSHOTTER_RUN_ID environment variable, so that finalizeUnusedSnapshots() only merges the
+ * usage of this run, and not what an earlier aborted run left behind.
+ * @returns {string} Run ID. An HTTP_SNAPSHOTTER_RUN_ID that is already set is kept.
+ */
+function startMultiWorkerRun() {
+  if (!process.env[runIdEnvVariable]) {
+    process.env[runIdEnvVariable] = `${Date.now()}-${process.pid}-${randomBytes(4).toString('hex')}`;
+  }
+  return process.env[runIdEnvVariable];
+}
+
+/**
+ * Merge the snapshot file usage recorded by every worker (started with `multiWorker: true`) and
+ * write the unused snapshots log for the whole test run. Call this once after all workers have
+ * exited (e.g. from the global teardown of your test runner), in the process that called
+ * startMultiWorkerRun(). The usage records of the run are removed afterwards.
+ * @param {string} snapshotDirectory Full absolute path to snapshot directory
+ * @param {object} [opts]
+ * @param {string} [opts.unusedSnapshotsLogFile] Same as `unusedSnapshotsLogFile` option of start()
+ * @returns {Promise<string[]>} unused snapshot files, relative to the snapshot directory
+ */
+async function finalizeUnusedSnapshots(snapshotDirectory, {
+  unusedSnapshotsLogFile: logFile = unusedSnapshotsLogFile,
+} = {}) {
+  const shardsDir = resolve(snapshotDirectory, usageShardsDirectory, getRunId());
+  /** @type {string[]} */
+  const shardFiles = await fs.readdir(shardsDir).catch((err) => {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  });
+  const usedFiles = new Set(
+    (await Promise.all(shardFiles.map((file) => fs.readFile(resolve(shardsDir, file), 'utf-8'))))
+      .flatMap((contents) => contents.split('\n'))
+      .filter(Boolean),
+  );
+  const unusedFiles = await writeUnusedSnapshotsLog(snapshotDirectory, usedFiles, logFile);
+  await fs.rm(shardsDir, { recursive: true, force: true });
+  // Fails while other runs have usage records
+  await fs.rmdir(resolve(snapshotDirectory, usageShardsDirectory)).catch(() => {});
+  return unusedFiles;
+}
+
 /**
  * Write/read snapshots to/from a sub directory. This isolates snapshots for a test.
  * @param {string} directoryName Directory name relative to snapshot directory. It will be created if it doesn't exist.
+ * @param {object} [opts]
+ * @param {ResponseSequence} [opts.responseSequence] Override the response sequence behavior passed to start()
+ * for this test case
+ * @param {SnapshotMode} [opts.mode] Snapshot mode for this test case, regardless of SNAPSHOT env variable.
+ * e.g. 'ignore' for a test that should always make real network requests.
+ */
+function startTestCase(directoryName, { responseSequence, mode } = {}) {
+  assertValidMode(mode);
+  const asyncTestCase = testCaseStorage.getStore();
+  if (asyncTestCase) {
+    throw new Error(`Cannot start test case '${directoryName}' within withTestCase('${asyncTestCase.directoryName}').`);
+  }
+  if (globalTestCase.directoryName) {
+    throw new Error(`Cannot start test case '${directoryName}' as test case '${globalTestCase.directoryName}' is already running.`); 
+  }
+  globalTestCase = { directoryName, responseSequence, mode, sequenceCounters: new Map(), usedFiles: new Set() };
+  forgetRecordedRequests(directoryName);
+}
+/**
+ * Snapshot files directly within the test case directory (sub directories belong to other test cases)
+ * that the test case didn't read or record
+ * @param {TestCase} testCase
+ * @returns {string[]} File names relative to snapshot directory
+ */
+function getUnusedTestCaseSnapshots({ directoryName, usedFiles }) {
+  if (!directoryName || !snapshotDirectory) return [];
+  /** @type {import('node:fs').Dirent[]} */
+  let entries;
+  try {
+    entries = readdirSync(resolve(snapshotDirectory, directoryName), { withFileTypes: true });
+  } catch (err) {
+    if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return [];
+    throw err;
+  }
+  return entries
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.json'))
+    .map((entry) => join(directoryName, entry.name))
+    .filter((fileName) => !usedFiles.has(fileName))
+    .sort();
+}
+
+/**
+ * Report (read mode) or delete (update mode) the snapshot files of a test case that it didn't use,
+ * depending on the unusedSnapshots option passed to start().
+ * This is synchronous (unlike the rest of the file handling), as endTestCase() is.
+ * Skipped for a test case that had requests it couldn't answer, as it may not have reached the
+ * requests of the rest of its snapshots.
+ * @param {TestCase} testCase
+ * @param {SnapshotMode} mode Mode of the test case
+ */
+function checkUnusedTestCaseSnapshots(testCase, mode) {
+  const { onEndTestCase = false, deleteOnUpdate = false } = unusedSnapshotsOptions;
+  if (testCase.errors?.length) return;
+  const deleteUnused = mode === 'update' && deleteOnUpdate;
+  const reportUnused = mode === 'read' && onEndTestCase;
+  if (!deleteUnused && !reportUnused) return;
+  const unusedFiles = getUnusedTestCaseSnapshots(testCase);
+  if (!unusedFiles.length) return;
+  if (deleteUnused) {
+    for (const fileName of unusedFiles) {
+      const absoluteFilePath = resolve(/** @type {string} */ (snapshotDirectory), fileName);
+      unlinkSync(absoluteFilePath);
+      alreadyWrittenFiles.delete(absoluteFilePath);
+      delete snapshotCache[absoluteFilePath];
+      if (shouldLogSnapshots()) {
+        console.debug(`Deleted unused snapshot: ${fileName}`);
+      }
+    }
+    delete existingSnapshotFilesList[/** @type {string} */ (snapshotDirectory)];
+    return;
+  }
+  const message = `Test case '${testCase.directoryName}' didn't use ${unusedFiles.length} snapshot file(s):\n${
+    unusedFiles.map((fileName) => `  ${fileName}`).join('\n')
+  }`;
+  if (onEndTestCase === 'fail') {
+    throw new Error(message);
+  }
+  console.warn(`${colors.yellow}${message}${colors.reset}`);
+}
+
+/**
+ * Reset the directory to the root directory.
+ * Checks the test case for unused snapshot files, when configured with the unusedSnapshots option
+ * of start(). With onEndTestCase: 'fail' it throws when there are any.
+ * @param {object} [opts]
+ * @param {boolean} [opts.failed] Whether the test failed. Unused snapshot files aren't checked then, as
+ * a test that failed midway didn't make all of its requests.
+ * @returns {Error[]} Errors of requests that couldn't be answered from snapshots during the test case
+ * (e.g. missing snapshot, which the caller receives as a 500 response). Test runner integrations fail
+ * the test with these.
  */
-function startTestCase(directoryName) {
-  if (snapshotSubDirectory) {
-    throw new Error(`Cannot start test case '${directoryName}' as test case '${snapshotSubDirectory}' is already running.`); 
+function endTestCase({ failed = false } = {}) {
+  const testCase = globalTestCase;
+  const mode = getMode();
+  globalTestCase = { directoryName: '', sequenceCounters: new Map(), usedFiles: new Set() };
+  if (!failed) {
+    checkUnusedTestCaseSnapshots(testCase, mode);
   }
-  snapshotSubDirectory = directoryName;
+  return testCase.errors || [];
 }
+
 /**
- * Reset the directory to the root directory
+ * Run a test case function with snapshots written/read to/from a sub directory.
+ *
+ * Unlike startTestCase() / endTestCase(), the test case is carried through the async context of `fn`
+ * (using AsyncLocalStorage). So test cases can run concurrently within the same process (e.g. node:test
+ * or ava concurrent tests). Filename generator and ignore rules attached from within `fn` only apply
+ * to this test case as well.
+ * @template T
+ * @param {string} directoryName Directory name relative to snapshot directory. It will be created if it doesn't exist.
+ * @param {() => T} fn Test case function. Its return value (e.g. a promise) is returned.
+ * @param {object} [opts]
+ * @param {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>} [opts.snapshotFileNameGenerator]
+ * Filename generator for this test case only
+ * @param {(req: Request) => boolean} [opts.snapshotIgnoreRules] Ignore rules for this test case only
+ * @param {ResponseSequence} [opts.responseSequence] Override the response sequence behavior passed to start()
+ * for this test case
+ * @param {SnapshotMode} [opts.mode] Snapshot mode for this test case, regardless of SNAPSHOT env variable
+ * @returns {T} Unused snapshot files are checked (check the unusedSnapshots option of start()) once `fn`
+ * returns or its promise resolves. Not when it throws or its promise rejects.
  */
-function endTestCase() {
-  snapshotSubDirectory = '';
+function withTestCase(directoryName, fn, {
+  snapshotFileNameGenerator: testCaseFileNameGenerator,
+  snapshotIgnoreRules: testCaseIgnoreRules,
+  responseSequence,
+  mode,
+} = {}) {
+  assertValidMode(mode);
+  forgetRecordedRequests(directoryName);
+  /** @type {TestCase} */
+  const testCase = {
+    directoryName,
+    snapshotFileNameGenerator: testCaseFileNameGenerator,
+    snapshotIgnoreRules: testCaseIgnoreRules,
+    responseSequence,
+    mode,
+    sequenceCounters: new Map(),
+    usedFiles: new Set(),
+  };
+  return testCaseStorage.run(testCase, () => {
+    const result = fn();
+    if (result instanceof Promise) {
+      // Runs within the test case's async context, so getMode() applies the test case mode
+      return /** @type {T} */ (result.then((value) => {
+        checkUnusedTestCaseSnapshots(testCase, getMode());
+        return value;
+      }));
+    }
+    checkUnusedTestCaseSnapshots(testCase, getMode());
+    return result;
+  });
 }
 
 /**
@@ -630,18 +3090,33 @@ function endTestCase() {
  * 2. if a specific test does not use the default snapshot, you can prefix the snapshot
  * file name for the test.
  *
- * WARNING: Attaching a function on a per-test basis may not be concurrent safe. i.e. If you tests
- * run sequentially, then it is safe. But if your test runner runs test suites concurrently,
+ * When called within withTestCase(), the function is only attached to that test case.
+ *
+ * WARNING: Attaching a function on a per-test basis (outside withTestCase()) may not be concurrent safe.
+ * i.e. If you tests run sequentially, then it is safe. But if your test runner runs test suites concurrently,
  * then it is better to attach a function only once ever.
  * @param {(req: Request) => Promise<{ filePrefix: string, fileSuffixKey: string }>} func
  */
 function attachSnapshotFilenameGenerator(func) {
-  snapshotFileNameGenerator = func;
+  const asyncTestCase = testCaseStorage.getStore();
+  if (asyncTestCase) {
+    asyncTestCase.snapshotFileNameGenerator = func;
+  } else {
+    snapshotFileNameGenerator = func;
+  }
 }
 
-/** Reset snapshot filename generator to default */
+/**
+ * Reset snapshot filename generator to default.
+ * Within withTestCase(), the test case goes back to using the globally attached generator.
+ */
 function resetSnapshotFilenameGenerator() {
-  snapshotFileNameGenerator = defaultSnapshotFileNameGenerator;
+  const asyncTestCase = testCaseStorage.getStore();
+  if (asyncTestCase) {
+    asyncTestCase.snapshotFileNameGenerator = undefined;
+  } else {
+    snapshotFileNameGenerator = defaultSnapshotFileNameGenerator;
+  }
 }
 
 /**
@@ -660,32 +3135,451 @@ function resetSnapshotFilenameGenerator() {
  * 3. Ignore requests with specific HTTP methods
  * 4. Ignore requests based on request body content
  *
- * WARNING: Attaching a function on a per-test basis may not be concurrent safe. i.e. If your tests
- * run sequentially, then it is safe. But if your test runner runs test suites concurrently,
+ * When called within withTestCase(), the function is only attached to that test case.
+ *
+ * WARNING: Attaching a function on a per-test basis (outside withTestCase()) may not be concurrent safe.
+ * i.e. If your tests run sequentially, then it is safe. But if your test runner runs test suites concurrently,
  * then it is better to attach a function only once ever.
  * @param {(req: Request) => boolean} func
  */
 function attachSnapshotIgnoreRules(func) {
-  snapshotIgnoreRules = func;
+  const asyncTestCase = testCaseStorage.getStore();
+  if (asyncTestCase) {
+    asyncTestCase.snapshotIgnoreRules = func;
+  } else {
+    snapshotIgnoreRules = func;
+  }
 }
 
-/** Reset snapshot ignore rules to default (no requests ignored) */
+/**
+ * Reset snapshot ignore rules to default (no requests ignored).
+ * Within withTestCase(), the test case goes back to using the globally attached rules.
+ */
 function resetSnapshotIgnoreRules() {
-  snapshotIgnoreRules = defaultSnapshotIgnoreRules;
+  const asyncTestCase = testCaseStorage.getStore();
+  if (asyncTestCase) {
+    asyncTestCase.snapshotIgnoreRules = undefined;
+  } else {
+    snapshotIgnoreRules = defaultSnapshotIgnoreRules;
+  }
+}
+
+/**
+ * @param {FaultMatcher} matcher
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function matchesFault(matcher, request) {
+  if (typeof matcher === 'function') return matcher(request);
+  if (typeof matcher === 'string') return request.url.startsWith(matcher);
+  if (matcher instanceof RegExp) return matcher.test(request.url);
+  const { method, url } = matcher;
+  return (!method || method.toUpperCase() === request.method)
+    && (url === undefined || matchesFault(url, request));
+}
+
+/**
+ * Fault to apply to a request, counting it against the `times` of the fault
+ * @param {Request} request
+ * @returns {Fault|undefined}
+ */
+function takeFault(request) {
+  const rule = (getCurrentTestCase().faults || [])
+    .find(({ matcher, remaining }) => remaining > 0 && matchesFault(matcher, request));
+  if (!rule) return undefined;
+  rule.remaining -= 1;
+  return rule.fault;
+}
+
+/**
+ * Inject a fault into matching requests of the current test case, to test retries, timeouts and
+ * error handling without editing snapshot files. Faults are applied before the snapshot is read:
+ * - `status`: respond with the status code (and no body) instead of the snapshot
+ * - `error`: fail the request with a network error e.g. ECONNRESET, same as a recorded network error
+ * - `delayMs`: wait before replaying the snapshot (or making the real request)
+ * - `truncateBodyAt`: error the replayed response body after the given number of bytes
+ *
+ * Faulted responses are never written to snapshot files. Faults are cleared by endTestCase() (or
+ * at the end of withTestCase()) and clearFaults().
+ *
+ * e.g. injectFault('https://api.example.com/orders', { status: 503, times: 2 })
+ * @param {FaultMatcher} matcher
+ * @param {Fault} fault
+ * @returns {() => void} function to remove the fault
+ */
+function injectFault(matcher, fault) {
+  if (!['status', 'error', 'delayMs', 'truncateBodyAt'].some((prop) => fault[/** @type {keyof Fault} */ (prop)] !== undefined)) {
+    throw new Error('Fault must have one of status, error, delayMs or truncateBodyAt');
+  }
+  if (fault.error !== undefined && !networkErrorCodeRegex.test(fault.error)) {
+    throw new Error(`Invalid network error code '${fault.error}'. Use an error code like ECONNRESET, ENOTFOUND or ETIMEDOUT`);
+  }
+  const testCase = getCurrentTestCase();
+  /** @type {FaultRule} */
+  const rule = { matcher, fault, remaining: fault.times === undefined ? Infinity : fault.times };
+  testCase.faults = [...(testCase.faults || []), rule];
+  return () => {
+    testCase.faults = (testCase.faults || []).filter((item) => item !== rule);
+  };
+}
+
+/**
+ * Remove the faults injected into the current test case
+ */
+function clearFaults() {
+  getCurrentTestCase().faults = [];
+}
+
+/** @type {RecordedRequest[]} */
+let recordedRequests = [];
+// Requests made outside of test cases aren't forgotten when a test case starts, so only the latest are kept
+const maxRecordedRequestsOutsideTestCases = 100;
+
+/**
+ * @param {string} directoryName Test case. Requests made outside of test cases are kept.
+ */
+function forgetRecordedRequests(directoryName) {
+  if (!directoryName) return;
+  recordedRequests = recordedRequests.filter((recordedRequest) => recordedRequest.testCase !== directoryName);
+}
+
+/**
+ * @param {Request} request
+ * @returns {Promise<RecordedRequest>}
+ */
+async function recordRequest(request) {
+  /** @type {RecordedRequest} */
+  const recordedRequest = {
+    method: request.method,
+    url: request.url,
+    headers: Object.fromEntries(request.headers.entries()),
+    body: undefined,
+    testCase: getCurrentTestCase().directoryName,
+    outcome: 'live',
+  };
+  recordedRequests.push(recordedRequest);
+  if (!recordedRequest.testCase) {
+    const outsideTestCases = recordedRequests.filter(({ testCase }) => !testCase);
+    if (outsideTestCases.length > maxRecordedRequestsOutsideTestCases) {
+      const oldest = outsideTestCases[0];
+      recordedRequests = recordedRequests.filter((item) => item !== oldest);
+    }
+  }
+  const { body } = await readBodyForSnapshot(request);
+  recordedRequest.body = body === '' ? undefined : body;
+  return recordedRequest;
+}
+
+/**
+ * Requests made within a test case (since it was last started) or made outside of test cases (the latest 100), in
+ * the order they were made. Includes requests answered from snapshots.
+ * @param {object} [opts]
+ * @param {string} [opts.testCase] Test case (directory name). Defaults to the current test case.
+ * @returns {RecordedRequest[]}
+ */
+function getRecordedRequests({ testCase = getCurrentTestCase().directoryName } = {}) {
+  return recordedRequests.filter((recordedRequest) => recordedRequest.testCase === testCase);
+}
+
+/**
+ * Forget the requests recorded so far, of all test cases
+ */
+function clearRecordedRequests() {
+  recordedRequests = [];
+}
+
+/**
+ * Whether the recorded body contains the expected values (extra object properties are fine)
+ * @param {any} expected
+ * @param {any} actual
+ * @returns {boolean}
+ */
+function containsValues(expected, actual) {
+  if (expected === actual) return true;
+  if (typeof expected !== 'object' || expected === null || typeof actual !== 'object' || actual === null) {
+    return false;
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual)
+      && expected.length === actual.length
+      && expected.every((value, index) => containsValues(value, actual[index]));
+  }
+  return Object.keys(expected).every((key) => containsValues(expected[key], actual[key]));
+}
+
+/**
+ * @param {RequestMatcher} matcher
+ * @param {RecordedRequest} recordedRequest
+ * @returns {boolean}
+ */
+function matchesRecordedRequest(matcher, recordedRequest) {
+  if (typeof matcher === 'function') return matcher(recordedRequest);
+  if (typeof matcher === 'string') return recordedRequest.url.startsWith(matcher);
+  if (matcher instanceof RegExp) return matcher.test(recordedRequest.url);
+  const { method, url, body } = matcher;
+  return (!method || method.toUpperCase() === recordedRequest.method)
+    && (url === undefined || matchesRecordedRequest(url, recordedRequest))
+    && (body === undefined || containsValues(body, recordedRequest.body));
+}
+
+/**
+ * @param {RequestMatcher} matcher
+ */
+function describeRequestMatcher(matcher) {
+  if (typeof matcher === 'function') return 'matching the given function';
+  if (typeof matcher === 'string' || matcher instanceof RegExp) return String(matcher);
+  const { method = '*', url = '*', body } = matcher;
+  return `${method} ${url}${body === undefined ? '' : ` with body ${JSON.stringify(body)}`}`;
+}
+
+/**
+ * Assert on the requests made by the code under test, e.g. that a webhook was sent exactly once with a
+ * given payload, even when its response came from a snapshot.
+ *
+ * e.g. expectRequest({ method: 'POST', url: 'https://hooks.example.com/', body: { event: 'paid' } }).toHaveBeenCalledTimes(1)
+ * @param {RequestMatcher} matcher
+ * @param {object} [opts]
+ * @param {string} [opts.testCase] Test case (directory name) whose requests to check. Defaults to the current test case.
+ */
+function expectRequest(matcher, { testCase = getCurrentTestCase().directoryName } = {}) {
+  const getMatches = () => getRecordedRequests({ testCase })
+    .filter((recordedRequest) => matchesRecordedRequest(matcher, recordedRequest));
+  /**
+   * @param {string} expectation
+   * @param {number} actual
+   * @param {any} expected
+   * @param {string} operator
+   */
+  const fail = (expectation, actual, expected, operator) => {
+    const requests = getRecordedRequests({ testCase })
+      .map(({ method, url, outcome }) => `
+  ${method} ${url} (${outcome})`)
+      .join('') || ' none';
+    throw new AssertionError({
+      message: `Expected request ${describeRequestMatcher(matcher)} ${expectation}, but it was made ${actual} time(s). Recorded requests:${requests}`,
+      actual,
+      expected,
+      operator,
+    });
+  };
+  return {
+    /** Matching requests made so far */
+    get requests() {
+      return getMatches();
+    },
+    toHaveBeenCalled() {
+      const { length } = getMatches();
+      if (!length) fail('to have been made', length, '>= 1', 'toHaveBeenCalled');
+    },
+    /** @param {number} times */
+    toHaveBeenCalledTimes(times) {
+      const { length } = getMatches();
+      if (length !== times) fail(`to have been made ${times} time(s)`, length, times, 'toHaveBeenCalledTimes');
+    },
+    /**
+     * At least one matching request has a body containing the given values
+     * @param {any} body
+     */
+    toHaveBeenCalledWith(body) {
+      const matches = getMatches();
+      if (!matches.some((recordedRequest) => containsValues(body, recordedRequest.body))) {
+        fail(`to have been made with body ${JSON.stringify(body)}`, matches.length, body, 'toHaveBeenCalledWith');
+      }
+    },
+    not: {
+      toHaveBeenCalled() {
+        const { length } = getMatches();
+        if (length) fail('not to have been made', length, 0, 'not.toHaveBeenCalled');
+      },
+    },
+  };
+}
+
+/**
+ * Requests made since start() for the run report, when start() got a report file. Unlike recordedRequests,
+ * these aren't cleared.
+ * @type {ReportedRequest[]}
+ */
+let reportRequests = [];
+
+/**
+ * URL with the values of query params of the redaction rules replaced by the placeholder
+ * @param {string} url
+ */
+function redactUrl(url) {
+  if (!redactionRules) return url;
+  const queryParamNames = redactionRules.queryParams.map((name) => name.toLowerCase());
+  const redactedUrl = new URL(url);
+  const names = [...new Set(redactedUrl.searchParams.keys())]
+    .filter((name) => queryParamNames.includes(name.toLowerCase()));
+  if (!names.length) return url;
+  names.forEach((name) => redactedUrl.searchParams.set(name, redactedPlaceholder));
+  return redactedUrl.toString();
+}
+
+/**
+ * Add a request to the run report, if there is a report to write. Only the fields of the report are
+ * kept (not the body), with the URL redacted like in snapshot files.
+ * @param {RecordedRequest} recordedRequest
+ * @returns {(closestMatch?: ReportedRequest['closestMatch']) => void} Copies the current outcome and
+ * snapshot file of the recorded request to the report
+ */
+function reportRequest(recordedRequest) {
+  if (!reportFile) return () => {};
+  const { testCase, method, url, outcome } = recordedRequest;
+  /** @type {ReportedRequest} */
+  const reportedRequest = { testCase, method, url: redactUrl(url), outcome };
+  reportRequests.push(reportedRequest);
+  return (closestMatch) => {
+    reportedRequest.snapshotFile = recordedRequest.snapshotFile;
+    reportedRequest.outcome = recordedRequest.outcome;
+    if (closestMatch) reportedRequest.closestMatch = closestMatch;
+  };
+}
+
+/**
+ * Snapshot hits, misses and writes of the requests made since start(). Written to the `report` file
+ * passed to start() at exit.
+ * @returns {RunReport}
+ */
+function getRunReport() {
+  /** @returns {ReportTotals} */
+  const emptyTotals = () => ({ requests: 0, hit: 0, miss: 0, written: 0, ignored: 0, live: 0, fault: 0 });
+  const totals = emptyTotals();
+  /** @type {Record<string, ReportTotals>} */
+  const hosts = {};
+  const requests = reportRequests.map(({
+    testCase, method, url, snapshotFile, outcome, closestMatch,
+  }) => {
+    const written = outcome === 'live'
+      && snapshotFile !== undefined
+      && snapshotDirectory !== null
+      && alreadyWrittenFiles.has(resolve(snapshotDirectory, snapshotFile));
+    /** @type {ReportedRequest} */
+    const reportedRequest = {
+      testCase,
+      method,
+      url,
+      snapshotFile,
+      outcome: written ? 'written' : outcome,
+      closestMatch,
+    };
+    const { host } = new URL(url);
+    hosts[host] = hosts[host] || emptyTotals();
+    for (const hostTotals of [totals, hosts[host]]) {
+      hostTotals.requests += 1;
+      hostTotals[reportedRequest.outcome] += 1;
+    }
+    return reportedRequest;
+  });
+  return {
+    createdAt: new Date().toISOString(),
+    version: packageVersion,
+    mode: getMode(),
+    snapshotDirectory,
+    totals,
+    hosts,
+    requests,
+  };
 }
 
 /**
  * Start the interceptor
  * @param {object} opts
  * @param {string|null} opts.snapshotDirectory Full absolute path to snapshot directory
+ * @param {RedactionRules|false} [opts.redact] Extra secrets to replace with a placeholder before snapshots
+ * are written (on top of defaultRedactionRules). Pass false to write snapshots as received.
+ * @param {StreamingOptions} [opts.streaming] Which responses are recorded chunk by chunk and whether
+ * to record timing between chunks
+ * @param {SnapshotMode} [opts.mode] Snapshot mode to use when SNAPSHOT env variable isn't set. Defaults to 'read'.
+ * @param {KeyIgnoreRule[]} [opts.keyIgnore] Volatile request values to leave out of snapshot file names
+ * (applied by defaultSnapshotFileNameGenerator)
+ * @param {UrlNormalizationOptions} [opts.urlNormalization] How URLs are normalized for snapshot file names
+ * (applied by defaultSnapshotFileNameGenerator)
+ * @param {UnusedSnapshotsOptions} [opts.unusedSnapshots] Per test case check for snapshot files the test
+ * case didn't use, done by endTestCase() / withTestCase()
+ * @param {StalenessOptions} [opts.staleness] When snapshots are considered stale. Stale snapshots are
+ * reported in read mode and re-recorded with SNAPSHOT=refresh-stale.
+ * @param {VerifyOptions} [opts.verify] What to compare in verify mode (SNAPSHOT=verify), where requests are
+ * made to the real network and the responses are compared with the existing snapshots
+ * @param {LogOptions} [opts.log] What to log, when LOG_REQ / LOG_SNAPSHOT env variables aren't set
+ * @param {string} [opts.report] Path of a JSON report (check getRunReport()) of the requests made and
+ * whether they were answered from snapshots, to write at exit. Relative to the current working directory,
+ * or absolute.
+ * @param {string} [opts.unusedSnapshotsLogFile] Path to the unused snapshots log file, relative to snapshot
+ * directory or absolute. Defaults to 'unused-snapshots.log'.
+ * @param {boolean} [opts.xhr] Intercept XMLHttpRequest as well, in test environments that have it (e.g. jsdom,
+ * happy-dom). Call start() once the environment has set up the global XMLHttpRequest. Defaults to false.
+ * @param {boolean} [opts.multiWorker] Set this when tests run in multiple processes / worker threads
+ * (e.g. jest, vitest, node --test). Each worker then records which snapshot files it read.
+ * startMultiWorkerRun() has to be called before the workers start, and finalizeUnusedSnapshots() after
+ * all workers exit to write the unused snapshots log.
+ * @param {ResponseSequence} [opts.responseSequence] Record repeats of an identical request within a test
+ * case as an ordered sequence of snapshot files, and replay them in the same order. The value decides
+ * what happens once the sequence runs out: 'repeat-last', 'cycle' or 'fail'. Defaults to false (one
+ * snapshot file per request).
  */
 function start({
   snapshotDirectory: _snapshotDirectory = null,
+  responseSequence = false,
+  redact = {},
+  streaming = {},
+  mode = 'read',
+  verify = {},
+  staleness = {},
+  unusedSnapshots = {},
+  keyIgnore = [],
+  urlNormalization: _urlNormalization = {},
+  log = {},
+  unusedSnapshotsLogFile: _unusedSnapshotsLogFile = 'unused-snapshots.log',
+  report,
+  xhr = false,
+  multiWorker: _multiWorker = false,
 } = { snapshotDirectory: null }) {
   if (!_snapshotDirectory) {
     throw new Error('Please specify full path to a directory for storing/reading snapshots');
   }
+  assertValidMode(mode);
+  if ((overriddenMode || process.env.SNAPSHOT || mode) === 'refresh-stale' && staleness.maxAge === undefined) {
+    throw new Error('refresh-stale mode needs the staleness.maxAge option of start(), no snapshot is stale without it');
+  }
+  startMode = mode;
+  logOptions = log;
+  verifyOptions = verify;
+  if (staleness.maxAge !== undefined) parseDuration(staleness.maxAge);
+  stalenessOptions = staleness;
+  unusedSnapshotsOptions = unusedSnapshots;
+  reportFile = report;
+  reportRequests = [];
+  snapshotDrift = [];
+  keyIgnoreRules = keyIgnore;
+  urlNormalization = _urlNormalization;
+  unusedSnapshotsLogFile = _unusedSnapshotsLogFile;
   snapshotDirectory = _snapshotDirectory;
+  defaultResponseSequence = responseSequence;
+  multiWorker = _multiWorker;
+  // Fail right away rather than on the first snapshot read
+  if (multiWorker) getRunId();
+  streamingOptions = {
+    contentTypes: [...defaultStreamContentTypes, ...(streaming.contentTypes || [])],
+    recordTiming: Boolean(streaming.recordTiming),
+  };
+  if (redact) {
+    const { includeDefaults = true } = redact;
+    /** @param {'headers'|'queryParams'|'requestBodyPaths'|'responseBodyPaths'} prop */
+    const mergeRules = (prop) => [
+      ...(includeDefaults ? defaultRedactionRules[prop] : []),
+      ...(redact[prop] || []),
+    ];
+    redactionRules = {
+      headers: mergeRules('headers'),
+      queryParams: mergeRules('queryParams'),
+      requestBodyPaths: mergeRules('requestBodyPaths'),
+      responseBodyPaths: mergeRules('responseBodyPaths'),
+    };
+  } else {
+    redactionRules = null;
+  }
   /**
    * @type {Promise<any>|undefined}
    */
@@ -696,23 +3590,97 @@ function start({
     interceptors: [
       new ClientRequestInterceptor(),
       new FetchInterceptor(),
+      // Only applies where there is a global WebSocket (node.js 22+, or 20 with --experimental-websocket).
+      // Its types come from the browser build of @mswjs/interceptors, which has its own Interceptor class.
+      /** @type {any} */ (new WebSocketInterceptor()),
+      ...(xhr ? [new XMLHttpRequestInterceptor()] : []),
     ],
   });
 
   const cache = /** @type {WeakMap<Request, SnapshotFileInfo>} */ (new WeakMap());
   const ignoredRequests = /** @type {WeakSet<Request>} */ (new WeakSet());
+  // Real network calls consume the request body, so keep an unread copy for saving the snapshot
+  const requestCopies = /** @type {WeakMap<Request, Request>} */ (new WeakMap());
+  // Requests whose snapshot is re-recorded (or recorded, if missing) in refresh-stale mode
+  const staleRequests = /** @type {WeakSet<Request>} */ (new WeakSet());
+  // Requests answered by an injected fault, which must not be recorded
+  const faultedRequests = /** @type {WeakSet<Request>} */ (new WeakSet());
 
-  //@ts-ignore
-  interceptor.on('request', async ({ request, controller }) => {
+  /**
+   * @param {Request} request
+   * @param {Response|SnapshotNetworkError|WebSocketFrame[]} response
+   * @param {SnapshotFileInfo} snapshotFileInfo
+   */
+  const recordSnapshot = async (request, response, snapshotFileInfo) => {
+    if (!dirCreatePromise) {
+      dirCreatePromise = fs.mkdir( /** @type {string} */(snapshotDirectory), { recursive: true });
+    }
+    await dirCreatePromise;
+    const mode = getMode();
+    if (mode === 'refresh-stale') {
+      // The stale snapshot may have been written earlier in this process
+      alreadyWrittenFiles.delete(snapshotFileInfo.absoluteFilePath);
+    }
+    await saveSnapshot(request, response, snapshotFileInfo);
+    if (mode === 'refresh-stale') {
+      // Read the refreshed snapshot next time
+      delete snapshotCache[snapshotFileInfo.absoluteFilePath];
+    }
+  };
+
+  /**
+   * Record the network error of a request that went to the network to be recorded.
+   * Passed through requests that fail don't reach the response listener, so callers report their errors here.
+   * @param {Caller} caller
+   * @param {any} err
+   */
+  const recordNetworkError = async (caller, err) => {
+    const { pendingSnapshot } = caller;
+    const networkError = toSnapshotNetworkError(err);
+    if (!pendingSnapshot || !networkError) return;
+    caller.pendingSnapshot = undefined;
+    await recordSnapshot(pendingSnapshot.request, networkError, pendingSnapshot.snapshotFileInfo)
+      .catch((saveErr) => console.error(saveErr));
+  };
+
+  /**
+   * @param {{ request: Request, controller: RequestController }} params
+   * @param {RecordedRequest} recordedRequest Its outcome is updated as the request is handled
+   */
+  const handleRequest = async ({ request, controller }, recordedRequest) => {
+    requestCopies.set(request, request.clone());
+    const mode = getMode();
+    const fault = takeFault(request);
+    if (fault?.delayMs) {
+      await setTimeout(fault.delayMs);
+    }
+    if (fault?.error || fault?.status) {
+      recordedRequest.outcome = 'fault';
+    }
+    if (fault?.error) {
+      faultedRequests.add(request);
+      sendNetworkError(controller, createFaultNetworkError(fault.error, request.url));
+      return;
+    }
+    if (fault?.status) {
+      faultedRequests.add(request);
+      controller.respondWith(new Response(null, {
+        status: fault.status,
+        statusText: http.STATUS_CODES[fault.status] || '',
+      }));
+      return;
+    }
+    const truncateBodyAt = fault?.truncateBodyAt;
     // Check if request should be ignored from snapshotting using ignore rules
-    const shouldIgnoreSnapshot = snapshotIgnoreRules(request);
+    const shouldIgnoreSnapshot = (getCurrentTestCase().snapshotIgnoreRules || snapshotIgnoreRules)(request);
     
     // Track ignored requests
     if (shouldIgnoreSnapshot) {
       ignoredRequests.add(request);
+      recordedRequest.outcome = 'ignored';
       
       // In read mode, we should not allow ignored requests to make real network calls
-      if (SNAPSHOT === 'read') {
+      if (mode === 'read') {
         console.error(
           `${colors.red}Request ignored by snapshot ignore rules but SNAPSHOT=read mode doesn't allow real network requests:${colors.reset}`,
           {
@@ -728,37 +3696,189 @@ function start({
       }
     }
     
-    if (['read', 'append'].includes(SNAPSHOT) && !shouldIgnoreSnapshot) {
-      const snapshotFileInfo = await getSnapshotFileInfo(request);
+    if (mode !== 'ignore' && !shouldIgnoreSnapshot) {
+      const snapshotFileInfo = await getNextSequenceFileInfo(request, await getSnapshotFileInfo(request));
       cache.set(request, snapshotFileInfo);
-      await readSnapshotAndSendResponse(request, controller, snapshotFileInfo);
+      recordedRequest.snapshotFile = snapshotFileInfo.fileName;
+      getCurrentTestCase().usedFiles.add(snapshotFileInfo.fileName);
+      let isRecorded = mode === 'update';
+      if (['read', 'append'].includes(mode)) {
+        const snapshot = await readSnapshotAndSendResponse(request, controller, snapshotFileInfo, { truncateBodyAt });
+        isRecorded = mode === 'append' && !readFiles.has(snapshotFileInfo.fileName);
+        if (snapshot) recordedRequest.outcome = 'hit';
+      } else if (mode === 'refresh-stale') {
+        const { snapshot } = await readSnapshot(request, snapshotFileInfo);
+        if (!snapshot || isStaleSnapshot(snapshot)) {
+          // Let the request through, the response handler (re-)records the snapshot
+          staleRequests.add(request);
+          isRecorded = true;
+        } else {
+          await sendResponse(controller, snapshot, { truncateBodyAt });
+          recordedRequest.outcome = 'hit';
+        }
+      }
+      const caller = callerStorage.getStore();
+      if (caller && isRecorded) {
+        caller.pendingSnapshot = { request: /** @type {Request} */ (requestCopies.get(request)), snapshotFileInfo };
+      }
+    }
+  };
+  /**
+   * Replay a WebSocket conversation from its snapshot, or let the connection through (and record it),
+   * following the same mode rules as HTTP requests
+   * @param {WebSocketConnectionData} connection
+   */
+  const handleWebSocketConnection = async ({ client, server }) => {
+    // The client sees the connection open right away, so it may send messages before it is known
+    // whether they are replayed or go to the server
+    /** @type {any[]} */
+    let earlyMessages = [];
+    /** @type {((data: any) => void) | undefined} */
+    let onClientMessage;
+    client.addEventListener('message', (event) => {
+      if (onClientMessage) {
+        onClientMessage(event.data);
+      } else {
+        earlyMessages.push(event.data);
+      }
+    });
+    /** @param {(data: any) => void} handler */
+    const handleClientMessages = (handler) => {
+      onClientMessage = handler;
+      earlyMessages.forEach(handler);
+      earlyMessages = [];
+    };
+    // Later messages are forwarded to the server by the interceptor
+    const connectServer = () => {
+      server.connect();
+      earlyMessages.forEach((data) => server.send(data));
+    };
+    const request = new Request(client.url);
+    const recordedRequest = await recordRequest(request);
+    const updateReport = reportRequest(recordedRequest);
+    // Messages arrive outside of the async context of the test case
+    const testCase = getCurrentTestCase();
+    /** @param {Error} err */
+    const fail = (err) => {
+      recordedRequest.outcome = 'miss';
+      updateReport();
+      testCase.errors = [
+        ...(testCase.errors || []),
+        new Error(`${err.message}: WebSocket ${request.url}`, { cause: err }),
+      ];
+      client.close(1011, err.message);
+    };
+    try {
+      const mode = getMode();
+      const shouldIgnoreSnapshot = (testCase.snapshotIgnoreRules || snapshotIgnoreRules)(request);
+      if (shouldIgnoreSnapshot) {
+        recordedRequest.outcome = 'ignored';
+        if (mode === 'read') {
+          throw new Error('Request ignored by snapshot ignore rules but SNAPSHOT=read mode doesn\'t allow real network requests');
+        }
+      }
+      if (shouldIgnoreSnapshot || mode === 'ignore' || mode === 'verify') {
+        connectServer();
+        handleClientMessages(() => {});
+        return;
+      }
+      // Connections to the same URL within a test case are a response sequence, same as HTTP requests
+      const snapshotFileInfo = await getNextSequenceFileInfo(request, await getSnapshotFileInfo(request));
+      recordedRequest.snapshotFile = snapshotFileInfo.fileName;
+      testCase.usedFiles.add(snapshotFileInfo.fileName);
+      if (mode !== 'update') {
+        const { snapshot } = await readSnapshot(request, snapshotFileInfo);
+        if (snapshot && !(mode === 'refresh-stale' && isStaleSnapshot(snapshot))) {
+          if (snapshot.responseType !== 'websocket') {
+            throw new Error(`Snapshot ${snapshotFileInfo.fileName} isn't a WebSocket conversation`);
+          }
+          recordedRequest.outcome = 'hit';
+          handleClientMessages(replayWebSocket(client, snapshot.response.body, snapshotFileInfo.fileName, fail));
+          return;
+        }
+      }
+
+      /** @type {Promise<WebSocketFrame>[]} */
+      const frames = [];
+      let clientClosed = false;
+      server.addEventListener('message', (event) => {
+        frames.push(toWebSocketFrame('server', event.data));
+      });
+      server.addEventListener('close', (event) => {
+        if (clientClosed) return;
+        frames.push(Promise.resolve({ from: 'server', close: { code: event.code, reason: event.reason } }));
+      });
+      // Closing from either side ends up here, after the server close (if it closed first)
+      client.addEventListener('close', () => {
+        clientClosed = true;
+        Promise.all(frames)
+          .then((recordedFrames) => recordSnapshot(request, recordedFrames, snapshotFileInfo))
+          .catch((err) => console.error(err));
+      });
+      connectServer();
+      handleClientMessages((data) => {
+        frames.push(toWebSocketFrame('client', data));
+      });
+    } catch (err) {
+      fail(/** @type {Error} */ (err));
+    } finally {
+      updateReport();
+    }
+  };
+  //@ts-ignore
+  interceptor.on('connection', (/** @type {WebSocketConnectionData} */ connection) => {
+    handleWebSocketConnection(connection);
+  });
+  //@ts-ignore
+  interceptor.on('request', async (/** @type {{ request: Request, controller: RequestController }} */ params) => {
+    const recordedRequest = await recordRequest(params.request);
+    const updateReport = reportRequest(recordedRequest);
+    try {
+      await handleRequest(params, recordedRequest);
+      updateReport();
+    } catch (err) {
+      if (recordedRequest.outcome !== 'ignored') recordedRequest.outcome = 'miss';
+      updateReport(closestSnapshotMatches.get(params.request));
+      // The caller only gets a 500 response, so keep the error for test runner integrations to fail the test with
+      const testCase = getCurrentTestCase();
+      const { method, url } = params.request;
+      testCase.errors = [
+        ...(testCase.errors || []),
+        new Error(`${/** @type {Error} */ (err).message}: ${method} ${url}`, { cause: err }),
+      ];
+      throw err;
     }
   });
   interceptor.on(
     //@ts-ignore
     'response',
     /** @type {(params: { request: Request, response: Response }) => Promise<void>} */
-    async ({ request, response }) => {
+    async ({ request: interceptedRequest, response }) => {
+      const request = requestCopies.get(interceptedRequest) || interceptedRequest;
+      requestCopies.delete(interceptedRequest);
+      if (faultedRequests.has(interceptedRequest)) return;
       // Check if this request was marked to ignore snapshots
-      const shouldIgnoreSnapshot = ignoredRequests.has(request);
+      const shouldIgnoreSnapshot = ignoredRequests.has(interceptedRequest);
       
-      const snapshotFileInfo = cache.get(request) || (await getSnapshotFileInfo(request));
-      cache.delete(request);
+      const snapshotFileInfo = cache.get(interceptedRequest) || (await getSnapshotFileInfo(request));
+      cache.delete(interceptedRequest);
       
       const {
         // absoluteFilePath,
         fileName,
         fileSuffixKey,
       } = snapshotFileInfo;
-      if (LOG_REQ) {
+      const mode = getMode();
+      const requestLogLevel = getRequestLogLevel();
+      if (requestLogLevel) {
         const summary = `----------\n${request.method} ${request.url}\n${
           shouldIgnoreSnapshot
             ? 'ignored from snapshotting by ignore rules'
             : `Would use file name: ${fileName}`
         }`;
-        if (LOG_REQ === '1' || LOG_REQ === 'summary') {
+        if (requestLogLevel === 'summary') {
           console.debug(summary);
-        } else if (LOG_REQ === 'detailed') {
+        } else if (requestLogLevel === 'detailed') {
           console.debug(`${summary}\n----------\n`, {
             request: {
               url: request.url,
@@ -776,20 +3896,66 @@ function start({
           });
         }
       }
-      if (!shouldIgnoreSnapshot && (SNAPSHOT === 'update' || (SNAPSHOT === 'append' && !readFiles.has(fileName)))) {
-        if (!dirCreatePromise) {
-          dirCreatePromise = fs.mkdir( /** @type {string} */(snapshotDirectory), { recursive: true });
-        }
-        await dirCreatePromise;
-        await saveSnapshot(request, response, snapshotFileInfo);
+      const caller = callerStorage.getStore();
+      if (caller) caller.pendingSnapshot = undefined;
+      const shouldSave = mode === 'update'
+        || (mode === 'append' && !readFiles.has(fileName))
+        || (mode === 'refresh-stale' && staleRequests.has(interceptedRequest));
+      if (!shouldIgnoreSnapshot && shouldSave) {
+        await recordSnapshot(request, response, snapshotFileInfo);
+      }
+      if (!shouldIgnoreSnapshot && mode === 'verify') {
+        await verifySnapshot(request, response, snapshotFileInfo);
       }
     },
   );
   interceptor.apply();
+
+  // Wrap the patched fetch() and http(s).request() / get(), to tell the request listener who the caller
+  // is and to catch network errors of passed through requests. stop() puts back the patched functions
+  // before the interceptor restores the originals.
+  // Only calls through these globals are tagged. Other requests (e.g. of fetch() implementations built
+  // on http.request(), like node-fetch) count as 'http' callers, so a replayed network error reaches
+  // them as the plain system error rather than TypeError('fetch failed').
+  const patchedFetch = globalThis.fetch;
+  unwrapCallerFunctions.push(() => { globalThis.fetch = patchedFetch; });
+  globalThis.fetch = function fetch(input, init) {
+    /** @type {Caller} */
+    const caller = { source: 'fetch' };
+    return callerStorage.run(caller, () => patchedFetch(input, init)).catch(async (err) => {
+      await recordNetworkError(caller, err);
+      throw err;
+    });
+  };
+  [http, https].forEach((module) => {
+    /** @type {('request'|'get')[]} */ (['request', 'get']).forEach((method) => {
+      const patchedMethod = /** @type {(...args: any[]) => import('node:http').ClientRequest} */ (module[method]);
+      unwrapCallerFunctions.push(() => { module[method] = /** @type {any} */ (patchedMethod); });
+      module[method] = /** @type {any} */ (/** @this {any} */ function (/** @type {any[]} */ ...args) {
+        /** @type {Caller} */
+        const caller = { source: 'http' };
+        const req = callerStorage.run(caller, () => patchedMethod.apply(this, args));
+        const { emit } = req;
+        req.emit = /** @type {any} */ (function (/** @type {string|symbol} */ event, /** @type {any[]} */ ...eventArgs) {
+          if (event === 'error' && caller.pendingSnapshot && toSnapshotNetworkError(eventArgs[0])) {
+            // Hold the error until it is recorded, so that it can be replayed right after
+            recordNetworkError(caller, eventArgs[0]).then(() => {
+              process.nextTick(() => emit.call(req, event, ...eventArgs));
+            });
+            return true;
+          }
+          return emit.call(req, event, ...eventArgs);
+        });
+        return req;
+      });
+    });
+  });
 }
 
 /** Stop the interceptor */
 function stop() {
+  unwrapCallerFunctions.forEach((unwrap) => unwrap());
+  unwrapCallerFunctions = [];
   if (interceptor) {
     interceptor.dispose();
     interceptor = null;
@@ -800,12 +3966,29 @@ function stop() {
 module.exports = {
   startTestCase,
   endTestCase,
+  withTestCase,
+  startMultiWorkerRun,
+  finalizeUnusedSnapshots,
+  readSnapshotDirectory,
+  rekeySnapshots,
+  importHar,
+  exportHar,
+  getSnapshotDrift,
+  injectFault,
+  clearFaults,
+  getRecordedRequests,
+  clearRecordedRequests,
+  expectRequest,
+  getRunReport,
+  getMode,
+  setMode,
   defaultSnapshotFileNameGenerator,
   attachSnapshotFilenameGenerator,
   resetSnapshotFilenameGenerator,
   defaultSnapshotIgnoreRules,
   attachSnapshotIgnoreRules,
   resetSnapshotIgnoreRules,
+  defaultRedactionRules,
   start,
   stop,
 };
\ No newline at end of file
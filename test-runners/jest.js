@@ -0,0 +1,29 @@
+/**
+ * jest integration. Add it to `setupFilesAfterEnv` in jest config, after the file that calls start():
+ * setupFilesAfterEnv: ['<rootDir>/tests/snapshotter-setup.js', 'http-snapshotter/test-runners/jest']
+ *
+ * Don't use it with test.concurrent(), as each test starts its own test case.
+ */
+/* global beforeEach, afterEach, expect */
+const { startTest, endTest } = require('./shared.js');
+
+/**
+ * Whether the running test failed. jest doesn't expose that to hooks, so this reads the state of
+ * jest-circus (the default runner), which it keeps on the global object under a non-registered symbol.
+ * @returns {boolean}
+ */
+function hasCurrentTestFailed() {
+  const stateSymbol = Object.getOwnPropertySymbols(globalThis)
+    .find((symbol) => symbol.description === 'JEST_STATE_SYMBOL');
+  const test = stateSymbol && /** @type {any} */ (globalThis)[stateSymbol]?.currentlyRunningTest;
+  return Boolean(test?.errors?.length);
+}
+
+beforeEach(() => {
+  const { testPath, currentTestName } = expect.getState();
+  startTest(testPath, currentTestName);
+});
+
+afterEach(() => {
+  endTest(hasCurrentTestFailed());
+});
@@ -0,0 +1,57 @@
+/**
+ * mocha integration (root hook plugin). Require it after the file that calls start():
+ * mocha --require tests/snapshotter-setup.js --require http-snapshotter/test-runners/mocha
+ *
+ * Each test starts its own test case, so tests of a file have to run one at a time (the default).
+ */
+const { endTestCase } = require('../index.js');
+const { startTest, endTest } = require('./shared.js');
+
+const wrappedTestFunctions = new WeakSet();
+
+/**
+ * Check for requests that couldn't be answered from snapshots within the test function. That fails
+ * the test itself, whereas a failing afterEach hook would make mocha skip the rest of the suite.
+ * @param {any} test mocha Test
+ */
+function wrapTestFunction(test) {
+  const { fn } = test;
+  if (!fn || wrappedTestFunctions.has(fn)) return;
+  // mocha decides whether a test is callback style by the number of arguments of its function
+  test.fn = fn.length
+    ? /** @this {any} */ function (/** @type {(err?: any) => void} */ done) {
+      return fn.call(this, (/** @type {any} */ err) => {
+        try {
+          endTest(Boolean(err));
+        } catch (snapshotErr) {
+          done(err || snapshotErr);
+          return;
+        }
+        done(err);
+      });
+    }
+    : /** @this {any} */ async function () {
+      try {
+        await fn.call(this);
+      } catch (err) {
+        endTestCase({ failed: true });
+        throw err;
+      }
+      endTest();
+    };
+  wrappedTestFunctions.add(test.fn);
+}
+
+exports.mochaHooks = {
+  /** @this {any} */
+  beforeEach() {
+    const test = this.currentTest;
+    startTest(test.file, test.titlePath().join(' '));
+    wrapTestFunction(test);
+  },
+  // The test function doesn't run when a beforeEach hook of the suite fails
+  /** @this {any} */
+  afterEach() {
+    endTestCase({ failed: this.currentTest.state === 'failed' });
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * node:test integration. Preload it in every test file process:
+ * node --test --require http-snapshotter/test-runners/node-test
+ *
+ * Tests within a file have to run one at a time (the default), as each test starts its own test case.
+ */
+const { beforeEach, afterEach } = require('node:test');
+const { startTest, endTest } = require('./shared.js');
+
+beforeEach((/** @type {any} */ t) => {
+  // filePath and fullName are only available in newer node.js versions. `node --test` runs each
+  // test file in its own process, so the process' main module is the test file otherwise.
+  startTest(t.filePath || process.argv[1], t.fullName || t.name);
+});
+
+afterEach((/** @type {any} */ t) => {
+  endTest(t.passed === false);
+});
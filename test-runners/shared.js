@@ -0,0 +1,52 @@
+/**
+ * Shared by the test runner integrations. Each test gets its own test case (snapshot sub directory),
+ * named after the test file and the test title.
+ */
+const { relative, join } = require('node:path');
+const slugify = require('@sindresorhus/slugify');
+const { startTestCase, endTestCase } = require('../index.js');
+
+/**
+ * Test case directory name of a test e.g. `tests/orders/checkout/retries-on-503` for test
+ * 'retries on 503' in tests/orders/checkout.test.js
+ * @param {string} testFile Path of the test file. Relative paths are resolved from the working directory.
+ * @param {string} title Full title of the test, including the titles of enclosing describe blocks
+ * @returns {string}
+ */
+function getTestCaseDirectoryName(testFile, title) {
+  const fileSegments = relative(process.cwd(), testFile)
+    .replace(/(?:\.(?:test|spec))?\.[cm]?[jt]sx?$/, '')
+    .split(/[\\/]/)
+    .map((segment) => slugify(segment))
+    .filter(Boolean);
+  return join(...fileSegments, slugify(title) || 'untitled');
+}
+
+/**
+ * @param {string} testFile
+ * @param {string} title
+ */
+function startTest(testFile, title) {
+  startTestCase(getTestCaseDirectoryName(testFile, title));
+}
+
+/**
+ * End the test case of the current test, and fail the test if any request couldn't be answered from
+ * snapshots. The code under test may have swallowed the 500 response those requests got.
+ * @param {boolean} [failed] Whether the test failed, so its unused snapshots aren't checked
+ */
+function endTest(failed = false) {
+  const errors = endTestCase({ failed });
+  if (errors.length === 1) {
+    throw errors[0];
+  }
+  if (errors.length > 1) {
+    throw new AggregateError(errors, errors.map((err) => err.message).join('\n'));
+  }
+}
+
+module.exports = {
+  getTestCaseDirectoryName,
+  startTest,
+  endTest,
+};
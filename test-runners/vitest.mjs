@@ -0,0 +1,22 @@
+/**
+ * vitest integration. Add it to `setupFiles` in vitest config, after the file that calls start():
+ * setupFiles: ['./tests/snapshotter-setup.js', 'http-snapshotter/test-runners/vitest']
+ *
+ * Don't use it with test.concurrent(), as each test starts its own test case.
+ */
+import { beforeEach, afterEach } from 'vitest';
+import shared from './shared.js';
+
+const { startTest, endTest } = shared;
+
+beforeEach(({ task }) => {
+  const titles = [task.name];
+  for (let suite = task.suite; suite && suite !== task.file; suite = suite.suite) {
+    titles.unshift(suite.name);
+  }
+  startTest(task.file.filepath, titles.join(' '));
+});
+
+afterEach(({ task }) => {
+  endTest(task.result?.state === 'fail');
+});
@@ -0,0 +1,127 @@
+const test = require("tape");
+const { defaultSnapshotFileNameGenerator } = require("../index.js");
+
+/**
+ * @param {string} url
+ * @param {RequestInit} [init]
+ */
+function generate(url, init) {
+  return defaultSnapshotFileNameGenerator(new Request(url, init));
+}
+
+/**
+ * @param {string} target
+ * @param {object} body
+ * @returns {RequestInit}
+ */
+function awsJson(target, body) {
+  return {
+    method: "POST",
+    headers: { "content-type": "application/x-amz-json-1.0", "x-amz-target": target },
+    body: JSON.stringify(body),
+  };
+}
+
+/**
+ * @param {Record<string, string>} params
+ * @returns {RequestInit}
+ */
+function awsQuery(params) {
+  return {
+    method: "POST",
+    headers: { "content-type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(params).toString(),
+  };
+}
+
+test("DynamoDB requests ignore endpoint variations and request IDs", async (t) => {
+  const body = { TableName: "users", Key: { id: { S: "1" } } };
+  const regular = await generate("https://dynamodb.eu-west-1.amazonaws.com/", awsJson("DynamoDB_20120810.GetItem", body));
+  t.equal(regular.filePrefix, "dynamodb-eu-west-1-get-item-users");
+  const accountEndpoint = await generate(
+    "https://123456789012.ddb.eu-west-1.amazonaws.com/",
+    awsJson("DynamoDB_20120810.GetItem", { ...body, ClientRequestToken: "f1e9c5f6" }),
+  );
+  t.equal(accountEndpoint.fileSuffixKey, regular.fileSuffixKey);
+});
+
+test("Request ID fields nested in DynamoDB items are part of the key", async (t) => {
+  /** @param {string} requestId */
+  const putItem = (requestId) => generate("https://dynamodb.us-east-1.amazonaws.com/", awsJson("DynamoDB_20120810.PutItem", {
+    TableName: "t",
+    Item: { id: { S: "1" }, RequestId: { S: requestId } },
+  }));
+  const [first, second] = await Promise.all([putItem("aaa"), putItem("bbb")]);
+  t.equal(first.filePrefix, "dynamodb-us-east-1-put-item-t");
+  t.notEqual(first.fileSuffixKey, second.fileSuffixKey);
+});
+
+test("S3 path style, virtual hosted style and presigned requests share a key", async (t) => {
+  const pathStyle = await generate("https://s3.eu-west-1.amazonaws.com/my-bucket/photos/cat.jpg");
+  t.equal(pathStyle.filePrefix, "s3-get-object-my-bucket-photos-cat-jpg");
+  for (const url of [
+    "https://my-bucket.s3.eu-west-1.amazonaws.com/photos/cat.jpg",
+    "https://my-bucket.s3-eu-west-1.amazonaws.com/photos/cat.jpg",
+    "https://my-bucket.s3.dualstack.eu-west-1.amazonaws.com/photos/cat.jpg?x-id=GetObject",
+    "https://my-bucket.s3.eu-west-1.amazonaws.com/photos/cat.jpg?X-Amz-Date=20240501T100000Z&X-Amz-Signature=abc",
+  ]) {
+    const { filePrefix, fileSuffixKey } = await generate(url);
+    t.deepEquals([filePrefix, fileSuffixKey], [pathStyle.filePrefix, pathStyle.fileSuffixKey], url);
+  }
+  t.equal((await generate("https://my-bucket.s3.amazonaws.com/?list-type=2")).filePrefix, "s3-list-objects-v2-my-bucket");
+  t.equal(
+    (await generate("https://s3.eu-west-1.amazonaws.com/my-bucket/a.txt", { method: "PUT", body: "a" })).filePrefix,
+    "s3-put-object-my-bucket-a-txt",
+  );
+});
+
+test("SQS query and JSON protocol requests are named by action and queue", async (t) => {
+  const query = await generate("https://sqs.eu-west-1.amazonaws.com/", awsQuery({
+    Action: "SendMessage",
+    QueueUrl: "https://sqs.eu-west-1.amazonaws.com/123456789012/orders",
+    MessageBody: "hello",
+  }));
+  t.equal(query.filePrefix, "sqs-send-message-orders");
+  const legacy = await generate("https://eu-west-1.queue.amazonaws.com/", awsQuery({
+    Action: "SendMessage",
+    QueueUrl: "https://eu-west-1.queue.amazonaws.com/123456789012/orders",
+    MessageBody: "hello",
+  }));
+  t.equal(legacy.fileSuffixKey, query.fileSuffixKey, "legacy hostnames must be normalized");
+
+  const json = await generate("https://sqs.eu-west-1.amazonaws.com/", awsJson("AmazonSQS.ReceiveMessage", {
+    QueueUrl: "https://sqs.eu-west-1.amazonaws.com/123456789012/orders",
+    MaxNumberOfMessages: 10,
+  }));
+  t.equal(json.filePrefix, "sqs-receive-message-orders");
+});
+
+test("SNS, Lambda and STS requests get readable prefixes", async (t) => {
+  const sns = await generate("https://sns.eu-west-1.amazonaws.com/", awsQuery({
+    Action: "Publish",
+    TopicArn: "arn:aws:sns:eu-west-1:123456789012:alerts",
+    Message: "hello",
+  }));
+  t.equal(sns.filePrefix, "sns-publish-alerts");
+
+  const lambdaUrl = `https://lambda.eu-west-1.amazonaws.com/2015-03-31/functions/${encodeURIComponent("arn:aws:lambda:eu-west-1:123456789012:function:resize-image")}/invocations`;
+  t.equal((await generate(lambdaUrl, { method: "POST", body: "{}" })).filePrefix, "lambda-invoke-resize-image");
+  t.equal(
+    (await generate(lambdaUrl, { method: "POST", body: "{}", headers: { "x-amz-invocation-type": "Event" } })).filePrefix,
+    "lambda-invoke-event-resize-image",
+  );
+
+  const assumeRole = {
+    Action: "AssumeRole",
+    RoleArn: "arn:aws:iam::123456789012:role/deployer",
+    RoleSessionName: "ci",
+  };
+  const global = await generate("https://sts.amazonaws.com/", awsQuery(assumeRole));
+  t.equal(global.filePrefix, "sts-assume-role-deployer");
+  const regional = await generate("https://sts.us-east-1.amazonaws.com/", awsQuery(assumeRole));
+  t.equal(regional.fileSuffixKey, global.fileSuffixKey, "global endpoint must be normalized");
+  t.equal(
+    (await generate("https://sts.amazonaws.com/", awsQuery({ Action: "GetCallerIdentity" }))).filePrefix,
+    "sts-get-caller-identity",
+  );
+});
@@ -0,0 +1,51 @@
+const test = require("tape");
+const { gzipSync } = require("node:zlib");
+require("./setup.js");
+const { startTestCase, endTestCase } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+
+// PNG signature followed by bytes that aren't valid UTF-8
+const pngBytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff, 0xfe, 0x00, 0xc3, 0x28]);
+const uploadBytes = Buffer.from([0x00, 0x01, 0xfe, 0xff, 0x80, 0x81]);
+
+/** @type {import('node:http').RequestListener} */
+function binaryServer(req, res) {
+  if (req.url === "/logo.png") {
+    res.setHeader("content-type", "image/png");
+    res.end(pngBytes);
+  } else if (req.url === "/archive") {
+    // no content-type, so binary has to be detected from the bytes
+    res.setHeader("content-encoding", "gzip");
+    res.end(gzipSync(pngBytes));
+  } else {
+    /** @type {Buffer[]} */
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      res.setHeader("content-type", "application/octet-stream");
+      res.end(Buffer.concat(chunks).reverse());
+    });
+  }
+}
+
+test("Binary bodies are replayed byte-for-byte", async (t) => {
+  const closeServer = await startLocalServer(binaryServer);
+  startTestCase("binary-body");
+  try {
+    const image = Buffer.from(await (await fetch(`${origin}/logo.png`)).arrayBuffer());
+    t.ok(image.equals(pngBytes), "image/png response must be identical");
+
+    const archive = Buffer.from(await (await fetch(`${origin}/archive`)).arrayBuffer());
+    t.ok(archive.equals(pngBytes), "gzip encoded non UTF-8 response must be identical");
+
+    const echoed = Buffer.from(await (await fetch(`${origin}/upload`, {
+      method: "POST",
+      headers: { "content-type": "application/octet-stream" },
+      body: uploadBytes,
+    })).arrayBuffer());
+    t.ok(echoed.equals(Buffer.from(uploadBytes).reverse()), "binary request body must be recorded as sent");
+  } finally {
+    endTestCase();
+    await closeServer();
+  }
+});
@@ -0,0 +1,131 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { join, resolve } = require("node:path");
+const { promisify } = require("node:util");
+const { execFile } = require("node:child_process");
+
+const cliPath = resolve(__dirname, "../cli.js");
+const xkcdSnapshotFile = "get-xkcd-com-info-0-arAlFb5gfcr9aCN.json";
+
+/**
+ * @param {string[]} args
+ */
+async function runCli(args) {
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, [cliPath, ...args]);
+    return { exitCode: 0, stdout };
+  } catch (err) {
+    const { code, stdout } = /** @type {{ code: number, stdout: string }} */ (err);
+    return { exitCode: code, stdout };
+  }
+}
+
+/**
+ * Snapshot directory with a copy of the XKCD snapshot in root directory and in a test case
+ */
+async function createSnapshotDirectory() {
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-cli-"));
+  const source = resolve(__dirname, "http-snapshots/test-case-cjs", xkcdSnapshotFile);
+  await fs.mkdir(join(dir, "comics"));
+  await fs.copyFile(source, join(dir, xkcdSnapshotFile));
+  await fs.copyFile(source, join(dir, "comics", xkcdSnapshotFile));
+  return dir;
+}
+
+test("CLI lists snapshots with method, URL, status and test case", async (t) => {
+  const dir = await createSnapshotDirectory();
+  try {
+    const { exitCode, stdout } = await runCli(["ls", dir]);
+    t.equal(exitCode, 0);
+    const lines = stdout.trim().split("\n").map((line) => line.split(/\s{2,}/));
+    t.deepEquals(lines, [
+      ["METHOD", "STATUS", "URL", "TEST CASE", "FILE"],
+      ["GET", "200", "https://xkcd.com/info.0.json", "comics", join("comics", xkcdSnapshotFile)],
+      ["GET", "200", "https://xkcd.com/info.0.json", "-", xkcdSnapshotFile],
+    ]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("CLI shows and greps snapshots", async (t) => {
+  const dir = await createSnapshotDirectory();
+  try {
+    const shown = await runCli(["show", dir, join("comics", xkcdSnapshotFile)]);
+    t.ok(shown.stdout.includes("GET https://xkcd.com/info.0.json"), "show must print the request");
+    t.ok(shown.stdout.includes('"title": "Iceberg Efficiency"'), "show must print the response body");
+
+    const found = await runCli(["grep", "-i", "ICEBERG", dir, "--body"]);
+    t.equal(found.exitCode, 0);
+    t.equal(found.stdout.trim().split("\n").length, 3, "both snapshots must match the body search");
+
+    const notFound = await runCli(["grep", "iceberg", dir, "--url"]);
+    t.equal(notFound.exitCode, 1, "grep must exit with 1 when nothing matches");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("CLI reports stats per host and test case", async (t) => {
+  const dir = await createSnapshotDirectory();
+  try {
+    const { stdout } = await runCli(["stats", dir]);
+    t.match(stdout, /^xkcd\.com\s+2\s+/m, "host stats");
+    t.match(stdout, /^comics\s+1\s+/m, "test case stats");
+    t.match(stdout, /^Total: 2 snapshots/m, "total");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("CLI prunes snapshots listed in unused snapshots log", async (t) => {
+  const dir = await createSnapshotDirectory();
+  try {
+    await fs.writeFile(join(dir, "unused-snapshots.log"), join("comics", xkcdSnapshotFile), "utf-8");
+
+    const dryRun = await runCli(["prune", dir, "--dry-run"]);
+    t.equal(dryRun.stdout.trim(), `Would delete: ${join("comics", xkcdSnapshotFile)}`);
+    t.ok(await fs.access(join(dir, "comics", xkcdSnapshotFile)).then(() => true), "dry run must not delete");
+
+    await runCli(["prune", dir]);
+    t.deepEquals(await fs.readdir(join(dir, "comics")), [], "unused snapshot must be deleted");
+    t.deepEquals((await fs.readdir(dir)).sort(), ["comics", xkcdSnapshotFile], "log file must be removed");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("CLI re-keys snapshots", async (t) => {
+  const dir = await createSnapshotDirectory();
+  try {
+    await fs.rename(join(dir, xkcdSnapshotFile), join(dir, "get-xkcd-com-info-0-oldhash.json"));
+
+    const dryRun = await runCli(["rekey", dir, "--dry-run"]);
+    t.equal(dryRun.exitCode, 0);
+    t.ok(
+      dryRun.stdout.includes(`Would rename: get-xkcd-com-info-0-oldhash.json -> ${xkcdSnapshotFile}`),
+      "dry run must print the renames",
+    );
+
+    await runCli(["rekey", dir]);
+    t.deepEquals((await fs.readdir(dir)).sort(), ["comics", xkcdSnapshotFile]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("CLI exports snapshots to HAR and imports them back", async (t) => {
+  const dir = await createSnapshotDirectory();
+  try {
+    const harFile = join(dir, "comics.har");
+    await runCli(["export-har", dir, "--test-case", "comics", "-o", harFile]);
+    const har = JSON.parse(await fs.readFile(harFile, "utf-8"));
+    t.deepEquals(har.log.entries.map((/** @type {any} */ entry) => entry.request.url), ["https://xkcd.com/info.0.json"]);
+
+    const { stdout } = await runCli(["import-har", harFile, dir, "--test-case", "imported"]);
+    t.ok(stdout.includes(`Written: ${join("imported", xkcdSnapshotFile)}`), "imported snapshot must keep its name");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
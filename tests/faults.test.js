@@ -0,0 +1,99 @@
+const test = require("tape");
+const http = require("node:http");
+const { promises: fs } = require("node:fs");
+const { join } = require("node:path");
+require("./setup.js");
+const {
+  startTestCase,
+  endTestCase,
+  withTestCase,
+  injectFault,
+} = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+const { withTempSnapshotDirectory } = require("./snapshot-directory.js");
+
+test("Injected faults apply to matching requests of the current test case only", async (t) => {
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ path: req.url, items: ["first", "second", "third"] }));
+  });
+  try {
+    await withTempSnapshotDirectory({}, async (dir) => {
+      await withTestCase("faults", async () => {
+        await fetch(`${origin}/orders`);
+        await fetch(`${origin}/orders/1`);
+      }, { mode: "update" });
+
+      await withTestCase("faults", async () => {
+        injectFault(`${origin}/orders`, { status: 503, times: 2 });
+        const statuses = [];
+        for (let i = 0; i < 3; i += 1) {
+          statuses.push((await fetch(`${origin}/orders`)).status);
+        }
+        t.deepEqual(statuses, [503, 503, 200], "status fault must apply to the first 2 requests");
+
+        injectFault({ method: "GET", url: /\/orders\/1$/ }, { error: "ECONNRESET", times: 2 });
+        const fetchError = await fetch(`${origin}/orders/1`).catch((err) => err);
+        t.equal(fetchError.message, "fetch failed");
+        t.equal(fetchError.cause.code, "ECONNRESET");
+        const httpError = await new Promise((resolvePromise) => {
+          http.get(`${origin}/orders/1`).on("error", resolvePromise);
+        });
+        t.equal(/** @type {any} */ (httpError).code, "ECONNRESET");
+        t.equal(/** @type {any} */ (httpError).syscall, "read");
+      }, { mode: "read" });
+
+      await withTestCase("faults", async () => {
+        injectFault((req) => req.url.endsWith("/1"), { truncateBodyAt: 10 });
+        const res = await fetch(`${origin}/orders/1`);
+        const reader = /** @type {ReadableStream<Uint8Array>} */ (res.body).getReader();
+        t.equal(/** @type {Uint8Array} */ ((await reader.read()).value).byteLength, 10, "body must be cut at 10 bytes");
+        try {
+          await reader.read();
+          t.fail("body must error after truncation");
+        } catch (err) {
+          t.match(/** @type {Error} */ (err).message, /truncated after 10 byte/);
+        }
+        const httpResult = await new Promise((resolvePromise) => {
+          http.get(`${origin}/orders/1`, (httpRes) => {
+            let length = 0;
+            httpRes.on("data", (chunk) => { length += chunk.length; });
+            httpRes.on("error", (err) => resolvePromise({ length, code: /** @type {any} */ (err).code }));
+          });
+        });
+        t.deepEqual(httpResult, { length: 10, code: "ECONNRESET" }, "http response must be aborted after 10 bytes");
+
+        injectFault(`${origin}/orders`, { delayMs: 50, times: 1 });
+        const startTime = Date.now();
+        t.equal((await fetch(`${origin}/orders`)).status, 200, "delayed request must replay the snapshot");
+        t.ok(Date.now() - startTime >= 50, "request must be delayed");
+      }, { mode: "read" });
+
+      const res = await withTestCase("faults", () => fetch(`${origin}/orders`), { mode: "read" });
+      t.equal(res.status, 200, "faults must not leak out of withTestCase()");
+
+      startTestCase("faults");
+      injectFault(`${origin}/orders`, { status: 500 });
+      t.equal((await fetch(`${origin}/orders`)).status, 500);
+      endTestCase();
+      startTestCase("faults");
+      t.equal((await fetch(`${origin}/orders`)).status, 200, "endTestCase() must clear faults");
+      endTestCase();
+
+      await withTestCase("faults", async () => {
+        injectFault(`${origin}/orders`, { status: 502 });
+        await fetch(`${origin}/orders`);
+      }, { mode: "update" });
+      const snapshots = await Promise.all((await fs.readdir(join(dir, "faults"))).map(async (file) => (
+        JSON.parse(await fs.readFile(join(dir, "faults", file), "utf-8"))
+      )));
+      t.deepEqual(snapshots.map(({ response }) => response.status), [200, 200], "faulted response must not be recorded");
+
+      t.throws(() => injectFault(origin, { times: 1 }), /Fault must have/);
+      t.throws(() => injectFault(origin, { error: "oops" }), /Invalid network error code/);
+    });
+  } finally {
+    endTestCase();
+    await closeServer();
+  }
+});
@@ -0,0 +1,89 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { join } = require("node:path");
+const { startMultiWorkerRun, finalizeUnusedSnapshots } = require("../index.js");
+
+/**
+ * @param {Record<string, string>} files
+ */
+async function createSnapshotDirectory(files) {
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-"));
+  for (const [file, contents] of Object.entries(files)) {
+    await fs.mkdir(join(dir, file, ".."), { recursive: true });
+    await fs.writeFile(join(dir, file), contents, "utf-8");
+  }
+  return dir;
+}
+
+/**
+ * Run `fn` within a test run started with startMultiWorkerRun(). Later test files mustn't inherit the
+ * run ID environment variable, so it is restored afterwards.
+ * @param {(runId: string) => Promise<void>} fn
+ */
+async function withMultiWorkerRun(fn) {
+  const previousRunId = process.env.HTTP_SNAPSHOTTER_RUN_ID;
+  try {
+    await fn(startMultiWorkerRun());
+  } finally {
+    if (previousRunId === undefined) {
+      delete process.env.HTTP_SNAPSHOTTER_RUN_ID;
+    } else {
+      process.env.HTTP_SNAPSHOTTER_RUN_ID = previousRunId;
+    }
+  }
+}
+
+test("Unused snapshots log is the union of usage across workers", (t) => withMultiWorkerRun(async (runId) => {
+  const dir = await createSnapshotDirectory({
+    "get-a.json": "{}",
+    [join("test-case", "get-b.json")]: "{}",
+    "get-c.json": "{}",
+    [join(".usage-shards", runId, "101-0.log")]: "get-a.json\n",
+    [join(".usage-shards", runId, "102-1.log")]: `${join("test-case", "get-b.json")}\nget-a.json\n`,
+  });
+  try {
+    const unusedFiles = await finalizeUnusedSnapshots(dir);
+    t.deepEquals(unusedFiles, ["get-c.json"], "only files no worker read must be unused");
+    t.equal(await fs.readFile(join(dir, "unused-snapshots.log"), "utf-8"), "get-c.json");
+    t.notOk(
+      await fs.access(join(dir, ".usage-shards")).then(() => true, () => false),
+      "usage shards must be removed after merging"
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}));
+
+test("Unused snapshots log is removed when every snapshot was used", (t) => withMultiWorkerRun(async (runId) => {
+  const dir = await createSnapshotDirectory({
+    "get-a.json": "{}",
+    "unused-snapshots.log": "get-a.json",
+    [join(".usage-shards", runId, "101-0.log")]: "get-a.json\n",
+  });
+  try {
+    t.deepEquals(await finalizeUnusedSnapshots(dir), []);
+    t.notOk(
+      await fs.access(join(dir, "unused-snapshots.log")).then(() => true, () => false),
+      "stale unused snapshots log must be removed"
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}));
+
+test("Usage left behind by an aborted run is not merged", (t) => withMultiWorkerRun(async (runId) => {
+  const dir = await createSnapshotDirectory({
+    "get-a.json": "{}",
+    "get-b.json": "{}",
+    [join(".usage-shards", "aborted-run", "101-0.log")]: "get-b.json\n",
+    [join(".usage-shards", runId, "102-0.log")]: "get-a.json\n",
+  });
+  try {
+    t.equal(startMultiWorkerRun(), runId, "workers must share the run ID");
+    t.deepEquals(await finalizeUnusedSnapshots(dir), ["get-b.json"]);
+    t.deepEquals(await fs.readdir(join(dir, ".usage-shards")), ["aborted-run"], "only usage of this run must be removed");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}));
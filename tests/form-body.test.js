@@ -0,0 +1,78 @@
+const test = require("tape");
+const { createHash } = require("node:crypto");
+const { promises: fs } = require("node:fs");
+const { join } = require("node:path");
+require("./setup.js");
+const { withTestCase, getRecordedRequests } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+const { withTempSnapshotDirectory } = require("./snapshot-directory.js");
+
+/**
+ * @param {[string, string | Blob, string?][]} fields
+ */
+function toFormData(fields) {
+  const formData = new FormData();
+  fields.forEach(([name, value, filename]) => (
+    typeof value === "string" ? formData.append(name, value) : formData.append(name, value, filename)
+  ));
+  return formData;
+}
+
+test("Form bodies are stored as fields and keyed independent of the boundary and field order", async (t) => {
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ uploaded: true }));
+  });
+  const avatar = new Blob(["fake png"], { type: "image/png" });
+  try {
+    await withTempSnapshotDirectory({}, async (dir) => {
+      await withTestCase("form-body", async () => {
+        await fetch(`${origin}/upload`, {
+          method: "POST",
+          body: toFormData([["name", "Ada"], ["tag", "a"], ["tag", "b"], ["avatar", avatar, "ada.png"]]),
+        });
+        await fetch(`${origin}/login`, {
+          method: "POST",
+          body: new URLSearchParams({ user: "ada", remember: "1" }),
+        });
+      }, { mode: "update" });
+
+      const files = await fs.readdir(join(dir, "form-body"));
+      t.equal(files.length, 2);
+      const uploadFile = /** @type {string} */ (files.find((file) => file.includes("upload")));
+      const { requestType, request } = JSON.parse(await fs.readFile(join(dir, "form-body", uploadFile), "utf-8"));
+      t.equal(requestType, "form");
+      t.deepEqual(request.body, {
+        name: "Ada",
+        tag: ["a", "b"],
+        avatar: {
+          filename: "ada.png",
+          type: "image/png",
+          size: 8,
+          sha256: createHash("sha256").update("fake png").digest("hex"),
+        },
+      }, "fields must be stored, with the hash of file parts");
+
+      await withTestCase("form-body", async () => {
+        const upload = await fetch(`${origin}/upload`, {
+          method: "POST",
+          body: toFormData([["avatar", avatar, "ada.png"], ["tag", "a"], ["tag", "b"], ["name", "Ada"]]),
+        });
+        t.deepEqual(await upload.json(), { uploaded: true }, "upload with another boundary must be read from the snapshot");
+        await fetch(`${origin}/login`, {
+          method: "POST",
+          body: new URLSearchParams({ remember: "1", user: "ada" }),
+        });
+        t.deepEqual(getRecordedRequests().map(({ outcome }) => outcome), ["hit", "hit"]);
+
+        await fetch(`${origin}/upload`, {
+          method: "POST",
+          body: toFormData([["name", "Ada"], ["tag", "a"], ["tag", "b"], ["avatar", new Blob(["other"]), "ada.png"]]),
+        });
+        t.equal(getRecordedRequests()[2].outcome, "miss", "upload of another file must not match");
+      }, { mode: "read" }).catch(() => {}); // the miss fails the test case
+    });
+  } finally {
+    await closeServer();
+  }
+});
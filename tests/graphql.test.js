@@ -0,0 +1,79 @@
+const test = require("tape");
+const { defaultSnapshotFileNameGenerator } = require("../index.js");
+
+/**
+ * @param {any} body
+ * @param {string} [url]
+ */
+function generate(body, url = "https://api.example.com/graphql") {
+  return defaultSnapshotFileNameGenerator(new Request(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  }));
+}
+
+test("GraphQL requests are named by operation and ignore query formatting", async (t) => {
+  const formatted = await generate({
+    query: `# Profile page
+      query GetUser($id: ID!) {
+        user(id: $id, filter: { active: true }) {
+          name
+          id
+          ... on Admin @include(if: true) { level, permissions }
+          friends(first: 10) { id name }
+        }
+      }`,
+    variables: { id: "1", locale: "en" },
+  });
+  t.equal(formatted.filePrefix, "post-api-example-com-graphql-get-user", "first operation names the file");
+
+  const reordered = await generate({
+    operationName: "GetUser",
+    query: "query GetUser($id:ID!){user(id:$id filter:{active:true}){friends(first:10){name id} id ...on Admin@include(if:true){permissions level} name}}",
+    variables: { locale: "en", id: "1" },
+  });
+  t.equal(reordered.fileSuffixKey, formatted.fileSuffixKey, "whitespace, comments and field order must not matter");
+
+  const otherVariables = await generate({
+    query: "query GetUser($id: ID!) { user(id: $id) { name } }",
+    variables: { id: "2" },
+  });
+  t.notEqual(otherVariables.fileSuffixKey, formatted.fileSuffixKey);
+});
+
+test("Persisted GraphQL queries are named by operation and keyed by hash", async (t) => {
+  const extensions = { persistedQuery: { version: 1, sha256Hash: "ecf4edb46db40b5132295c0291d62fb65d6759a9eedfa4d5d612dd5ec54a6b38" } };
+  const get = await defaultSnapshotFileNameGenerator(new Request(
+    `https://api.example.com/graphql?operationName=GetUser&variables=${encodeURIComponent('{"id":"1"}')}&extensions=${encodeURIComponent(JSON.stringify(extensions))}`,
+  ));
+  t.equal(get.filePrefix, "get-api-example-com-graphql-get-user");
+  t.ok(get.fileSuffixKey.includes(extensions.persistedQuery.sha256Hash), "hash must be part of the key");
+
+  const post = await generate({ operationName: "GetUser", variables: { id: "1" }, extensions });
+  t.equal(post.filePrefix, "post-api-example-com-graphql-get-user");
+});
+
+test("JSON bodies with a non GraphQL query field are left alone", async (t) => {
+  const { filePrefix, fileSuffixKey } = await generate({ query: "red shoes" }, "https://api.example.com/search");
+  t.equal(filePrefix, "post-api-example-com-search");
+  t.equal(fileSuffixKey, 'POST#https://api.example.com/search#{"query":"red shoes"}');
+
+  const firstPage = await generate({ query: "query builder", page: 1 }, "https://api.example.com/search");
+  const secondPage = await generate({ query: "query builder", page: 2 }, "https://api.example.com/search");
+  t.equal(firstPage.filePrefix, "post-api-example-com-search", "query that looks like a GraphQL document must not name the file");
+  t.notEqual(firstPage.fileSuffixKey, secondPage.fileSuffixKey, "other body fields must be part of the key");
+});
+
+test("GraphQL requests to other paths are detected by the body", async (t) => {
+  const shopify = await generate(
+    { query: "query GetShop { shop { name } }" },
+    "https://shop.example.com/admin/api/2024-01/graphql.json",
+  );
+  t.equal(shopify.filePrefix, "post-shop-example-com-admin-api-2024-01-graphql-json-get-shop");
+
+  const formatted = await generate({ query: "mutation AddItem($id: ID!) {\n  addItem(id: $id) { id }\n}", variables: { id: "1" } }, "https://api.example.com/api");
+  const compact = await generate({ query: "mutation AddItem($id:ID!){addItem(id:$id){id}}", variables: { id: "1" } }, "https://api.example.com/api");
+  t.equal(formatted.filePrefix, "post-api-example-com-api-add-item");
+  t.equal(formatted.fileSuffixKey, compact.fileSuffixKey, "query document must be normalized on any path");
+});
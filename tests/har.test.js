@@ -0,0 +1,108 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { join } = require("node:path");
+const { importHar, exportHar } = require("../index.js");
+
+const pngBase64 = "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==";
+
+/**
+ * @param {Partial<import("../index.js").HarEntry["request"]>} request
+ * @param {Partial<import("../index.js").HarEntry["response"]>} response
+ * @returns {import("../index.js").HarEntry}
+ */
+function harEntry(request, response) {
+  return {
+    startedDateTime: "2024-05-01T10:00:00.000Z",
+    time: 120,
+    request: { method: "GET", url: "https://xkcd.com/info.0.json", headers: [], ...request },
+    response: {
+      status: 200,
+      statusText: "OK",
+      headers: [],
+      content: { size: 0, mimeType: "application/json", text: '{"title":"Iceberg Efficiency"}' },
+      ...response,
+    },
+    timings: { send: 1, wait: 100, receive: 19 },
+  };
+}
+
+/** @type {import("../index.js").Har} */
+const har = {
+  log: {
+    version: "1.2",
+    creator: { name: "devtools", version: "1" },
+    entries: [
+      harEntry(
+        { headers: [{ name: ":authority", value: "xkcd.com" }, { name: "cookie", value: "session=secret" }] },
+        { headers: [{ name: "content-type", value: "application/json" }] },
+      ),
+      harEntry({}, { content: { size: 0, mimeType: "application/json", text: '{"title":"Repeat"}' } }),
+      harEntry(
+        {
+          method: "POST",
+          url: "https://api.example.com/comics",
+          postData: { mimeType: "application/json", text: '{"title":"New"}' },
+        },
+        { status: 201, statusText: "Created" },
+      ),
+      harEntry(
+        { url: "https://imgs.xkcd.com/pixel.png" },
+        { content: { size: 70, mimeType: "image/png", text: pngBase64, encoding: "base64" } },
+      ),
+      harEntry({ url: "https://blocked.example.com/" }, { status: 0, statusText: "" }),
+    ],
+  },
+};
+
+test("HAR entries are imported as snapshot files and exported back", async (t) => {
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-har-"));
+  try {
+    const { written, skipped } = await importHar(har, dir, { testCase: "from-har" });
+    t.equal(written.length, 3);
+    t.equal(
+      written[0],
+      join("from-har", "get-xkcd-com-info-0-arAlFb5gfcr9aCN.json"),
+      "file name must come from the filename generator, same as a recorded snapshot",
+    );
+    t.deepEquals(skipped.map(({ url }) => url), ["https://xkcd.com/info.0.json", "https://blocked.example.com/"]);
+
+    const snapshot = JSON.parse(await fs.readFile(join(dir, written[0]), "utf-8"));
+    t.deepEquals(snapshot.request.headers, [["cookie", "__REDACTED__"]], "headers must be redacted");
+    t.deepEquals(snapshot.response.body, { title: "Iceberg Efficiency" });
+    t.deepEquals(snapshot.timings, {
+      startedDateTime: "2024-05-01T10:00:00.000Z", time: 120, send: 1, wait: 100, receive: 19,
+    });
+
+    const exported = await exportHar(dir, { testCase: "from-har" });
+    const [post, png, get] = exported.log.entries
+      .sort((a, b) => a.request.url.localeCompare(b.request.url));
+    t.equal(get.response.content.text, '{"title":"Iceberg Efficiency"}');
+    t.deepEquals(get.timings, { send: 1, wait: 100, receive: 19 }, "timings must carry over");
+    t.equal(get.time, 120);
+    t.deepEquals(post.request.postData, { mimeType: "application/json", text: '{"title":"New"}' });
+    t.equal(post.response.status, 201);
+    t.deepEquals(
+      png.response.content,
+      { size: 70, mimeType: "image/png", text: pngBase64, encoding: "base64" },
+      "binary body must be exported byte-for-byte",
+    );
+    t.equal((await exportHar(dir, { testCase: "other" })).log.entries.length, 0);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("Repeats of a request in a HAR can be imported as a response sequence", async (t) => {
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-har-"));
+  try {
+    const { written } = await importHar(
+      { log: { ...har.log, entries: har.log.entries.slice(0, 2) } },
+      dir,
+      { responseSequence: true },
+    );
+    t.deepEquals(written, ["get-xkcd-com-info-0-arAlFb5gfcr9aCN.json", "get-xkcd-com-info-0-arAlFb5gfcr9aCN.2.json"]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
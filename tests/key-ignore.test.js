@@ -0,0 +1,61 @@
+const test = require("tape");
+const { startOptions } = require("./setup.js");
+const { defaultSnapshotFileNameGenerator } = require("../index.js");
+const { withStartOptions } = require("./snapshot-directory.js");
+
+/**
+ * @param {string} url
+ * @param {RequestInit} [init]
+ */
+function generate(url, init) {
+  return defaultSnapshotFileNameGenerator(new Request(url, init));
+}
+
+/**
+ * @param {object} body
+ * @param {Record<string, string>} [headers]
+ * @returns {RequestInit}
+ */
+function postJson(body, headers = { "content-type": "application/json" }) {
+  return { method: "POST", headers, body: JSON.stringify(body) };
+}
+
+test("keyIgnore leaves volatile values out of the snapshot key", async (t) => {
+  await withStartOptions({
+    ...startOptions,
+    keyIgnore: [
+      { host: "api.example.com", method: "POST", jsonPaths: ["$.requestId", "$.items[*].ts"], queryParams: ["_"] },
+      { host: /\.amazonaws\.com$/, jsonPaths: ["$.Item.createdAt"] },
+    ],
+  }, async () => {
+    const first = await generate(
+      "https://api.example.com/orders?_=1714557600000&page=1",
+      postJson({ requestId: "7c9e6679", items: [{ id: 1, ts: 1714557600 }] }),
+    );
+    const second = await generate(
+      "https://api.example.com/orders?_=1714557699999&page=1",
+      postJson({ requestId: "f47ac10b", items: [{ id: 1, ts: 1714557699 }] }),
+    );
+    t.equal(first.filePrefix, "post-api-example-com-orders", "readable prefix must be kept");
+    t.equal(second.fileSuffixKey, first.fileSuffixKey, "ignored values must not change the key");
+
+    const otherItem = await generate(
+      "https://api.example.com/orders?_=1714557600000&page=1",
+      postJson({ requestId: "7c9e6679", items: [{ id: 2, ts: 1714557600 }] }),
+    );
+    t.notEqual(otherItem.fileSuffixKey, first.fileSuffixKey, "other values must still change the key");
+
+    const get = await generate("https://api.example.com/orders?_=1714557600000");
+    const otherGet = await generate("https://api.example.com/orders?_=1714557699999");
+    t.notEqual(get.fileSuffixKey, otherGet.fileSuffixKey, "rule must only apply to its method");
+
+    const dynamodbHeaders = { "content-type": "application/x-amz-json-1.0", "x-amz-target": "DynamoDB_20120810.PutItem" };
+    const putItem = (/** @type {string} */ createdAt) => generate(
+      "https://dynamodb.eu-west-1.amazonaws.com/",
+      postJson({ TableName: "orders", Item: { id: { S: "1" }, createdAt } }, dynamodbHeaders),
+    );
+    const [putFirst, putSecond] = [await putItem("2024-05-01"), await putItem("2024-05-02")];
+    t.equal(putFirst.filePrefix, "dynamodb-eu-west-1-put-item-orders", "DynamoDB prefix must be kept");
+    t.equal(putSecond.fileSuffixKey, putFirst.fileSuffixKey);
+  });
+});
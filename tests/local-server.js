@@ -0,0 +1,96 @@
+const http = require("node:http");
+const { createHash } = require("node:crypto");
+
+// Snapshots of local requests are recorded against this server (SNAPSHOT=update).
+// In read mode requests are answered from snapshots and never reach it.
+const port = 47123;
+const origin = `http://127.0.0.1:${port}`;
+
+/**
+ * @param {http.RequestListener} handler
+ * @returns {Promise<() => Promise<void>>} function to close the server
+ */
+async function startLocalServer(handler) {
+  const server = http.createServer((req, res) => {
+    // Don't let clients reuse connections to a server that a later test replaces
+    res.setHeader("connection", "close");
+    handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", () => resolve(undefined)));
+  return () => new Promise((resolve) => server.close(() => resolve(undefined)));
+}
+
+/**
+ * Server side of a WebSocket connection, enough for tests: unfragmented frames of up to 64 KB
+ * @typedef LocalWebSocket
+ * @property {(data: string|Buffer) => void} send
+ * @property {(code: number, reason: string) => void} close
+ */
+
+/**
+ * @param {(socket: LocalWebSocket, url: string) => { onMessage?: (data: string|Buffer) => void }} onConnection
+ * @returns {Promise<() => Promise<void>>} function to close the server
+ */
+async function startLocalWebSocketServer(onConnection) {
+  const server = http.createServer((req, res) => res.writeHead(426).end());
+  server.on("upgrade", (req, socket) => {
+    const accept = createHash("sha1")
+      .update(`${req.headers["sec-websocket-key"]}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`)
+      .digest("base64");
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    /**
+     * @param {number} opcode
+     * @param {Buffer} payload
+     */
+    const writeFrame = (opcode, payload) => {
+      const header = payload.length < 126
+        ? Buffer.from([0x80 | opcode, payload.length])
+        : Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]);
+      socket.write(Buffer.concat([header, payload]));
+    };
+    /** @type {LocalWebSocket} */
+    const localWebSocket = {
+      send: (data) => (typeof data === "string" ? writeFrame(1, Buffer.from(data)) : writeFrame(2, data)),
+      close: (code, reason) => {
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code);
+        payload.write(reason, 2);
+        writeFrame(8, payload);
+        socket.end();
+      },
+    };
+    const { onMessage } = onConnection(localWebSocket, /** @type {string} */ (req.url));
+    let buffered = Buffer.alloc(0);
+    socket.on("data", (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+      while (buffered.length >= 6) {
+        const opcode = buffered[0] & 0x0f;
+        let length = buffered[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+          length = buffered.readUInt16BE(2);
+          offset = 4;
+        }
+        // Client frames are always masked
+        if (buffered.length < offset + 4 + length) return;
+        const mask = buffered.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length).map((byte, i) => byte ^ mask[i % 4]));
+        buffered = buffered.subarray(offset + 4 + length);
+        if (opcode === 8) {
+          writeFrame(8, payload.subarray(0, 2));
+          socket.end();
+          return;
+        }
+        onMessage?.(opcode === 1 ? payload.toString() : payload);
+      }
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", () => resolve(undefined)));
+  return () => new Promise((resolve) => {
+    server.close(() => resolve(undefined));
+    server.closeAllConnections();
+  });
+}
+
+module.exports = { origin, startLocalServer, startLocalWebSocketServer };
@@ -0,0 +1,59 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { resolve } = require("node:path");
+require("./setup.js");
+const { withTestCase, startTestCase, endTestCase, getMode, setMode } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+
+/**
+ * Start a server that responds with a value only known to this test run, so that a
+ * response can only have come from a real network request
+ */
+async function startLiveServer() {
+  const liveValue = Math.random().toString(36).slice(2);
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ liveValue }));
+  });
+  return { liveValue, closeServer };
+}
+
+test("Test case mode takes precedence over setMode()", async (t) => {
+  setMode("update");
+  try {
+    t.equal(getMode(), "update", "setMode() must change the mode");
+    t.equal(withTestCase("mode-precedence", () => getMode(), { mode: "append" }), "append");
+  } finally {
+    setMode(undefined);
+  }
+  t.equal(getMode(), process.env.SNAPSHOT || "read", "setMode(undefined) must restore the mode");
+  t.throws(() => setMode(/** @type {any} */ ("live")), /Invalid snapshot mode 'live'/);
+});
+
+test("Test case with ignore mode makes real network requests", async (t) => {
+  const { liveValue, closeServer } = await startLiveServer();
+  startTestCase("mode-ignore", { mode: "ignore" });
+  try {
+    const json = await (await fetch(`${origin}/live`)).json();
+    t.equal(json.liveValue, liveValue, "response must come from the live server");
+    t.notOk(
+      await fs.access(resolve(__dirname, "http-snapshots/mode-ignore")).then(() => true, () => false),
+      "no snapshot must be written"
+    );
+  } finally {
+    endTestCase();
+    await closeServer();
+  }
+});
+
+test("setMode() is respected by the interceptor", async (t) => {
+  const { liveValue, closeServer } = await startLiveServer();
+  setMode("ignore");
+  try {
+    const json = await withTestCase("mode-set-mode", async () => (await fetch(`${origin}/live`)).json());
+    t.equal(json.liveValue, liveValue, "response must come from the live server");
+  } finally {
+    setMode(undefined);
+    await closeServer();
+  }
+});
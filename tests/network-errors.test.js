@@ -0,0 +1,83 @@
+const test = require("tape");
+const http = require("node:http");
+const { promises: fs } = require("node:fs");
+const { join } = require("node:path");
+const { startOptions } = require("./setup.js");
+const { start, stop, withTestCase } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+const { withTempSnapshotDirectory } = require("./snapshot-directory.js");
+
+/**
+ * @param {string} url
+ * @returns {Promise<any>} error emitted by the request
+ */
+const httpGetError = (url) => new Promise((resolvePromise, reject) => {
+  http.get(url, (res) => reject(new Error(`Unexpected response ${res.statusCode}`))).on("error", resolvePromise);
+});
+
+/**
+ * @param {string} url
+ * @returns {Promise<any>} error the fetch rejects with
+ */
+const fetchError = (url) => fetch(url).then(
+  (res) => { throw new Error(`Unexpected response ${res.status}`); },
+  (err) => err,
+);
+
+test("Network errors are recorded and replayed for fetch and http callers", async (t) => {
+  await withTempSnapshotDirectory({}, async (dir) => {
+    // Nothing listens on the local server port, so the connection is refused
+    const recorded = await withTestCase("network-errors", async () => ({
+      fetch: await fetchError(`${origin}/refused`),
+      http: await httpGetError(`${origin}/refused?client=http`),
+    }), { mode: "update" });
+    t.equal(recorded.fetch.cause.code, "ECONNREFUSED");
+    t.equal(recorded.http.code, "ECONNREFUSED");
+
+    const closeServer = await startLocalServer((req) => req.socket.destroy());
+    const resetError = await withTestCase("network-errors", () => httpGetError(`${origin}/reset`), { mode: "update" });
+    await closeServer();
+    t.equal(resetError.code, "ECONNRESET");
+
+    const files = (await fs.readdir(join(dir, "network-errors"))).sort();
+    t.equal(files.length, 3, "an error snapshot must be written for each request");
+    const snapshot = JSON.parse(await fs.readFile(join(dir, "network-errors", files[0]), "utf-8"));
+    t.equal(snapshot.responseType, "error");
+    t.equal(snapshot.response.error.code, "ECONNREFUSED");
+    t.equal(snapshot.response.error.syscall, "connect");
+
+    const replayed = await withTestCase("network-errors", async () => ({
+      fetch: await fetchError(`${origin}/refused`),
+      http: await httpGetError(`${origin}/refused?client=http`),
+      reset: await httpGetError(`${origin}/reset`),
+    }), { mode: "read" });
+    t.ok(replayed.fetch instanceof TypeError, "fetch must reject with a TypeError");
+    t.equal(replayed.fetch.message, "fetch failed");
+    t.equal(replayed.fetch.cause.code, "ECONNREFUSED");
+    t.equal(replayed.fetch.cause.message, recorded.fetch.cause.message);
+    t.ok(replayed.http instanceof Error);
+    t.equal(replayed.http.code, "ECONNREFUSED");
+    t.equal(replayed.http.errno, recorded.http.errno);
+    t.equal(replayed.http.message, recorded.http.message);
+    t.equal(replayed.reset.code, "ECONNRESET");
+    t.equal(replayed.reset.message, resetError.message);
+  });
+});
+
+test("stop() restores fetch and http.request", (t) => {
+  stop();
+  const [originalFetch, originalRequest, originalGet] = [globalThis.fetch, http.request, http.get];
+  try {
+    start(startOptions);
+    t.notEqual(globalThis.fetch, originalFetch);
+    t.notEqual(http.request, originalRequest);
+    stop();
+    t.equal(globalThis.fetch, originalFetch);
+    t.equal(http.request, originalRequest);
+    t.equal(http.get, originalGet);
+  } finally {
+    stop();
+    start(startOptions);
+  }
+  t.end();
+});
@@ -0,0 +1,96 @@
+const test = require("tape");
+const { join } = require("node:path");
+require("./setup.js");
+const {
+  withTestCase,
+  startTestCase,
+  endTestCase,
+  injectFault,
+  clearFaults,
+  getRecordedRequests,
+  clearRecordedRequests,
+  expectRequest,
+} = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+const { withTempSnapshotDirectory } = require("./snapshot-directory.js");
+
+/**
+ * @param {object} payload
+ */
+const sendWebhook = (payload) => fetch(`${origin}/webhook`, {
+  method: "POST",
+  headers: { "content-type": "application/json" },
+  body: JSON.stringify(payload),
+});
+
+test("Requests of a test case are recorded with their outcome and can be asserted on", async (t) => {
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ ok: true }));
+  });
+  try {
+    await withTempSnapshotDirectory({}, async (dir) => {
+      await withTestCase("recorded-requests", async () => {
+        await sendWebhook({ event: "order.paid", orderId: 1 });
+        const [recorded] = getRecordedRequests();
+        t.equal(recorded.outcome, "live", "recorded request must go to the network");
+        t.ok(recorded.snapshotFile?.startsWith(join("recorded-requests", "post-127-0-0-1-webhook-")));
+      }, { mode: "update" });
+
+      await withTestCase("recorded-requests", async () => {
+        await sendWebhook({ event: "order.paid", orderId: 1 });
+        await fetch(`${origin}/not-recorded`);
+        injectFault(`${origin}/flaky`, { status: 503 });
+        await fetch(`${origin}/flaky`);
+
+        t.deepEqual(getRecordedRequests().map(({ method, url, outcome }) => ({ method, url, outcome })), [
+          { method: "POST", url: `${origin}/webhook`, outcome: "hit" },
+          { method: "GET", url: `${origin}/not-recorded`, outcome: "miss" },
+          { method: "GET", url: `${origin}/flaky`, outcome: "fault" },
+        ]);
+        const [webhook] = getRecordedRequests();
+        t.deepEqual(webhook.body, { event: "order.paid", orderId: 1 }, "JSON body must be parsed");
+        t.equal(webhook.headers["content-type"], "application/json");
+        t.equal(getRecordedRequests({ testCase: "" }).length, 0, "other test cases must not see the requests");
+
+        expectRequest({ method: "POST", url: `${origin}/webhook`, body: { event: "order.paid" } }).toHaveBeenCalledTimes(1);
+        expectRequest(`${origin}/webhook`).toHaveBeenCalledWith({ orderId: 1 });
+        expectRequest(/\/refund$/).not.toHaveBeenCalled();
+        t.throws(
+          () => expectRequest({ method: "POST", url: `${origin}/webhook` }).toHaveBeenCalledTimes(2),
+          /Expected request POST http:\/\/127\.0\.0\.1:47123\/webhook to have been made 2 time\(s\), but it was made 1 time\(s\)/,
+        );
+        t.throws(() => expectRequest(`${origin}/webhook`).toHaveBeenCalledWith({ orderId: 2 }), /with body {"orderId":2}/);
+        t.equal(expectRequest((req) => req.outcome === "miss").requests.length, 1);
+      }, { mode: "read" });
+
+      t.equal(
+        expectRequest(`${origin}/webhook`, { testCase: "recorded-requests" }).requests.length,
+        1,
+        "requests must be kept once the test case is done",
+      );
+      await withTestCase("recorded-requests", async () => {
+        t.equal(getRecordedRequests().length, 0, "requests must be forgotten when the test case starts again");
+      });
+      startTestCase("recorded-requests", { mode: "read" });
+      await sendWebhook({ event: "order.paid", orderId: 1 });
+      endTestCase();
+      t.equal(getRecordedRequests({ testCase: "recorded-requests" }).length, 1, "endTestCase() must keep the requests");
+      startTestCase("recorded-requests", { mode: "read" });
+      t.equal(getRecordedRequests().length, 0, "startTestCase() must forget the requests");
+      endTestCase();
+
+      clearRecordedRequests();
+      for (let i = 0; i < 101; i += 1) {
+        injectFault(`${origin}/outside/${i}`, { status: 503 });
+        await fetch(`${origin}/outside/${i}`);
+      }
+      clearFaults();
+      const outside = getRecordedRequests();
+      t.equal(outside.length, 100, "only the latest requests outside of test cases must be kept");
+      t.equal(outside[0].url, `${origin}/outside/1`);
+    });
+  } finally {
+    await closeServer();
+  }
+});
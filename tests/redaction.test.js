@@ -0,0 +1,99 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { join, resolve } = require("node:path");
+require("./setup.js");
+const { startTestCase, endTestCase, withTestCase } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+const { withTempSnapshotDirectory } = require("./snapshot-directory.js");
+
+test("Secrets are redacted from snapshot files", async (t) => {
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.setHeader("set-cookie", "session=secret-session-cookie");
+    res.end(JSON.stringify({ access_token: "secret-access-token", token_type: "bearer" }));
+  });
+  startTestCase("redaction");
+  try {
+    const res = await fetch(`${origin}/oauth/token?api_key=secret-api-key&scope=read`, {
+      method: "POST",
+      headers: {
+        authorization: "Bearer secret-bearer-token",
+        "content-type": "application/json",
+      },
+      body: JSON.stringify({ username: "alice", password: "secret-password" }),
+    });
+    const json = await res.json();
+    t.equal(json.token_type, "bearer", "snapshot must still be replayed for the original request");
+
+    const snapshotDir = resolve(__dirname, "http-snapshots/redaction");
+    const [file] = await fs.readdir(snapshotDir);
+    const contents = await fs.readFile(resolve(snapshotDir, file), "utf-8");
+    t.notOk(contents.includes("secret-"), "snapshot file must not contain any secret");
+
+    const snapshot = JSON.parse(contents);
+    t.equal(snapshot.request.url, `${origin}/oauth/token?api_key=__REDACTED__&scope=read`);
+    t.deepEquals(snapshot.request.body, { username: "alice", password: "__REDACTED__" });
+    t.deepEquals(
+      snapshot.response.headers.find(([name]) => name === "set-cookie"),
+      ["set-cookie", "__REDACTED__"]
+    );
+    t.equal(snapshot.response.body.access_token, "__REDACTED__");
+  } finally {
+    endTestCase();
+    await closeServer();
+  }
+});
+
+test("Stored fileSuffixKey only has the secrets redacted", async (t) => {
+  const closeServer = await startLocalServer((req, res) => res.end("ok"));
+  try {
+    await withTempSnapshotDirectory({}, async (dir) => {
+      await withTestCase("redaction", () => fetch(`${origin}/orders/1?page=1`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ password: "1", items: [1, 11] }),
+      }), { mode: "update" });
+      const [file] = await fs.readdir(join(dir, "redaction"));
+      const snapshot = JSON.parse(await fs.readFile(join(dir, "redaction", file), "utf-8"));
+      t.equal(
+        snapshot.fileSuffixKey,
+        `POST#${origin}/orders/1?page=1#{"items":[1,11],"password":"__REDACTED__"}`,
+        "other occurrences of a short secret must be kept",
+      );
+    });
+  } finally {
+    await closeServer();
+  }
+});
+
+test("Secrets are replaced in the original fileSuffixKey when the redacted request can't be keyed", async (t) => {
+  const closeServer = await startLocalServer((req, res) => res.end("ok"));
+  /** @type {any[][]} */
+  const errors = [];
+  const originalConsoleError = console.error;
+  console.error = (...args) => errors.push(args);
+  try {
+    await withTempSnapshotDirectory({}, async (dir) => {
+      await withTestCase("redaction", () => fetch(`${origin}/login`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ user: "alice", password: "secret-password" }),
+      }), {
+        mode: "update",
+        snapshotFileNameGenerator: async (request) => {
+          const body = await request.text();
+          if (body.includes("__REDACTED__")) throw new Error("Unexpected body");
+          return { filePrefix: "login", fileSuffixKey: `POST#${request.url}#${body}` };
+        },
+      });
+      const [file] = await fs.readdir(join(dir, "redaction"));
+      const snapshot = JSON.parse(await fs.readFile(join(dir, "redaction", file), "utf-8"));
+      t.equal(snapshot.fileSuffixKey, `POST#${origin}/login#{"user":"alice","password":"__REDACTED__"}`);
+      t.equal(errors.length, 1, "error of the filename generator must be logged");
+      t.match(errors[0][1].message, /Unexpected body/);
+    });
+  } finally {
+    console.error = originalConsoleError;
+    await closeServer();
+  }
+});
@@ -0,0 +1,103 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { join, resolve } = require("node:path");
+const { rekeySnapshots, defaultSnapshotFileNameGenerator } = require("../index.js");
+
+const xkcdSnapshotFile = "get-xkcd-com-info-0-arAlFb5gfcr9aCN.json";
+const xkcdSnapshot = resolve(__dirname, "http-snapshots/test-case-cjs", xkcdSnapshotFile);
+
+/**
+ * Snapshot directory with copies of the XKCD snapshot under the given names
+ * @param {string[]} files
+ */
+async function createSnapshotDirectory(files) {
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-rekey-"));
+  for (const file of files) {
+    await fs.mkdir(join(dir, file, ".."), { recursive: true });
+    await fs.copyFile(xkcdSnapshot, join(dir, file));
+  }
+  return dir;
+}
+
+test("Rekey renames snapshots whose file name no longer matches the generator", async (t) => {
+  const dir = await createSnapshotDirectory([
+    join("comics", "get-xkcd-com-info-0-oldhash.json"),
+    join("comics", "get-xkcd-com-info-0-oldhash.2.json"),
+    xkcdSnapshotFile,
+  ]);
+  try {
+    const dryRun = await rekeySnapshots(dir, { dryRun: true });
+    t.deepEquals(
+      dryRun.renamed.map(({ from, to }) => [from, to]),
+      [
+        [join("comics", "get-xkcd-com-info-0-oldhash.2.json"), join("comics", "get-xkcd-com-info-0-arAlFb5gfcr9aCN.2.json")],
+        [join("comics", "get-xkcd-com-info-0-oldhash.json"), join("comics", xkcdSnapshotFile)],
+      ],
+      "response sequence position and test case must be kept",
+    );
+    t.equal(dryRun.unchanged, 1);
+    t.deepEquals(
+      (await fs.readdir(join(dir, "comics"))).sort(),
+      ["get-xkcd-com-info-0-oldhash.2.json", "get-xkcd-com-info-0-oldhash.json"],
+      "dry run must not rename",
+    );
+
+    await rekeySnapshots(dir);
+    t.deepEquals(
+      (await fs.readdir(join(dir, "comics"))).sort(),
+      ["get-xkcd-com-info-0-arAlFb5gfcr9aCN.2.json", xkcdSnapshotFile],
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("Rekey updates fileSuffixKey and reports collisions", async (t) => {
+  const dir = await createSnapshotDirectory(["get-a.json", "get-b.json"]);
+  /** @param {Request} request */
+  const generator = async (request) => {
+    const { filePrefix } = await defaultSnapshotFileNameGenerator(request);
+    return { filePrefix: `v2-${filePrefix}`, fileSuffixKey: `v2#${request.url}` };
+  };
+  try {
+    const { renamed, collisions } = await rekeySnapshots(dir, { snapshotFileNameGenerator: generator });
+    t.deepEquals(renamed, [], "colliding files must not be renamed");
+    t.equal(collisions.length, 1);
+    t.deepEquals(collisions[0].files, ["get-a.json", "get-b.json"]);
+
+    await fs.unlink(join(dir, "get-b.json"));
+    const result = await rekeySnapshots(dir, { snapshotFileNameGenerator: generator });
+    t.equal(result.renamed.length, 1);
+    const [{ to, toFileSuffixKey }] = result.renamed;
+    t.match(to, /^v2-get-xkcd-com-info-0-.{15}\.json$/);
+    t.equal(toFileSuffixKey, "v2#https://xkcd.com/info.0.json");
+    const snapshot = JSON.parse(await fs.readFile(join(dir, to), "utf-8"));
+    t.equal(snapshot.fileSuffixKey, toFileSuffixKey, "fileSuffixKey must be updated in the file");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("Rekey keeps the old snapshots when writing the new ones fails", async (t) => {
+  const files = ["get-xkcd-com-info-0-oldhash.json", "get-xkcd-com-info-0-oldhash.2.json"];
+  const dir = await createSnapshotDirectory(files);
+  // Writing the first file of the sequence fails, after the second one has been written
+  await fs.mkdir(join(dir, `${xkcdSnapshotFile}.rekey.tmp`));
+  try {
+    try {
+      await rekeySnapshots(dir);
+      t.fail("rekey must fail");
+    } catch (err) {
+      t.equal(/** @type {NodeJS.ErrnoException} */ (err).code, "EISDIR");
+    }
+    t.deepEquals(
+      (await fs.readdir(dir)).filter((file) => file.endsWith(".json")).sort(),
+      [...files].sort(),
+      "old snapshots must be kept",
+    );
+    t.deepEquals((await fs.readdir(dir)).filter((file) => file.endsWith(".tmp")), [`${xkcdSnapshotFile}.rekey.tmp`]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
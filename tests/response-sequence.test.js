@@ -0,0 +1,84 @@
+const test = require("tape");
+require("./setup.js");
+const { startTestCase, endTestCase } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+
+const statusUrl = `${origin}/job/123/status`;
+// Replaying more requests than were recorded only makes sense when reading snapshots
+const skipUnlessRead = Boolean(process.env.SNAPSHOT && process.env.SNAPSHOT !== "read");
+
+/**
+ * @param {number} times
+ */
+async function pollStatuses(times) {
+  const statuses = [];
+  for (let i = 0; i < times; i += 1) {
+    const res = await fetch(statusUrl);
+    statuses.push(res.status === 200 ? (await res.json()).status : res.status);
+  }
+  return statuses;
+}
+
+test("Identical requests replay recorded responses in order", async (t) => {
+  const jobStatuses = ["pending", "running", "done"];
+  let polls = 0;
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ status: jobStatuses[Math.min(polls++, jobStatuses.length - 1)] }));
+  });
+  startTestCase("response-sequence", { responseSequence: "fail" });
+  try {
+    const statuses = [];
+    let status;
+    do {
+      const res = await fetch(statusUrl);
+      status = (await res.json()).status;
+      statuses.push(status);
+    } while (status !== "done");
+    t.deepEquals(statuses, jobStatuses, "polling must see every recorded response in order");
+  } finally {
+    endTestCase();
+    await closeServer();
+  }
+});
+
+test("Exhausted response sequence repeats the last response", { skip: skipUnlessRead }, async (t) => {
+  startTestCase("response-sequence", { responseSequence: "repeat-last" });
+  try {
+    t.deepEquals(await pollStatuses(5), ["pending", "running", "done", "done", "done"]);
+  } finally {
+    endTestCase();
+  }
+});
+
+test("Exhausted response sequence cycles back to the first response", { skip: skipUnlessRead }, async (t) => {
+  startTestCase("response-sequence", { responseSequence: "cycle" });
+  try {
+    t.deepEquals(await pollStatuses(5), ["pending", "running", "done", "pending", "running"]);
+  } finally {
+    endTestCase();
+  }
+});
+
+test("Exhausted response sequence fails the request", { skip: skipUnlessRead }, async (t) => {
+  startTestCase("response-sequence", { responseSequence: "fail" });
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  try {
+    const statuses = await pollStatuses(4);
+    t.deepEquals(statuses.slice(0, 3), ["pending", "running", "done"]);
+    t.equal(statuses[3], 500, "request after the last recorded response must fail");
+  } finally {
+    console.error = originalConsoleError;
+    endTestCase();
+  }
+});
+
+test("Sequence counters restart with every test case", { skip: skipUnlessRead }, async (t) => {
+  startTestCase("response-sequence", { responseSequence: "repeat-last" });
+  try {
+    t.deepEquals(await pollStatuses(1), ["pending"]);
+  } finally {
+    endTestCase();
+  }
+});
@@ -0,0 +1,88 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { join, resolve } = require("node:path");
+const { promisify } = require("node:util");
+const { execFile } = require("node:child_process");
+require("./setup.js");
+const { start, stop, withTestCase, injectFault, getRunReport } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+const { withTempSnapshotDirectory } = require("./snapshot-directory.js");
+
+/**
+ * @param {object} payload
+ */
+const createOrder = (payload) => fetch(`${origin}/orders`, {
+  method: "POST",
+  headers: { "content-type": "application/json" },
+  body: JSON.stringify(payload),
+});
+
+test("Run report has the outcome of every request and totals per host", async (t) => {
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ ok: true }));
+  });
+  try {
+    await withTempSnapshotDirectory((dir) => ({ report: join(dir, "report.json") }), async (dir) => {
+      await withTestCase("report", () => createOrder({ sku: "a" }), { mode: "update" });
+      await withTestCase("report", async () => {
+        await createOrder({ sku: "a" });
+        await createOrder({ sku: "b" });
+        injectFault(`${origin}/flaky`, { status: 503 });
+        await fetch(`${origin}/flaky`);
+      }, { mode: "read" });
+
+      const report = getRunReport();
+      t.deepEqual(report.requests.map(({ outcome }) => outcome), ["written", "hit", "miss", "fault"]);
+      const [written, , miss] = report.requests;
+      t.equal(written.testCase, "report");
+      t.ok(written.snapshotFile?.startsWith(join("report", "post-127-0-0-1-orders-")));
+      t.equal(miss.closestMatch?.file, written.snapshotFile, "miss must point to the closest snapshot file");
+      t.match(miss.closestMatch?.fileSuffixKey || "", /"sku":"a"/);
+      t.deepEqual(report.totals, { requests: 4, hit: 1, miss: 1, written: 1, ignored: 0, live: 0, fault: 1 });
+      t.deepEqual(Object.keys(report.hosts), ["127.0.0.1:47123"]);
+      t.equal(report.hosts["127.0.0.1:47123"].requests, 4);
+    });
+  } finally {
+    await closeServer();
+  }
+});
+
+test("Run report redacts URLs and is only collected with a report file", async (t) => {
+  const closeServer = await startLocalServer((req, res) => res.end("ok"));
+  try {
+    await withTempSnapshotDirectory((dir) => ({ report: join(dir, "report.json") }), async (dir) => {
+      await withTestCase("report", () => fetch(`${origin}/search?q=shoes&api_key=secret`), { mode: "ignore" });
+      t.deepEqual(
+        getRunReport().requests.map(({ url }) => url),
+        [`${origin}/search?q=shoes&api_key=__REDACTED__`],
+        "secret query params must not end up in the report",
+      );
+
+      stop();
+      start({ snapshotDirectory: dir });
+      await withTestCase("report", () => fetch(`${origin}/search?q=shoes`), { mode: "ignore" });
+      t.equal(getRunReport().requests.length, 0, "requests must not be kept without a report file");
+    });
+  } finally {
+    await closeServer();
+  }
+});
+
+test("Run report is written at exit", async (t) => {
+  const closeServer = await startLocalServer((req, res) => res.end("ok"));
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-run-report-"));
+  const reportFile = join(dir, "report.json");
+  try {
+    await promisify(execFile)(process.execPath, [resolve(__dirname, "run-report", "report.fixture.js")], {
+      env: { ...process.env, SNAPSHOT: "", FIXTURE_SNAPSHOT_DIRECTORY: dir, FIXTURE_REPORT: reportFile },
+    });
+    const report = JSON.parse(await fs.readFile(reportFile, "utf-8"));
+    t.equal(report.mode, "ignore");
+    t.deepEqual(report.requests, [{ testCase: "", method: "GET", url: `${origin}/health`, outcome: "live" }]);
+  } finally {
+    await closeServer();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,11 @@
+// Run by run-report.test.js, which checks the report written at exit
+const { start } = require("../../index.js");
+const { origin } = require("../local-server.js");
+
+start({
+  snapshotDirectory: /** @type {string} */ (process.env.FIXTURE_SNAPSHOT_DIRECTORY),
+  mode: "ignore",
+  report: /** @type {string} */ (process.env.FIXTURE_REPORT),
+});
+
+fetch(`${origin}/health`).then((res) => res.text());
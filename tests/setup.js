@@ -1,4 +1,8 @@
 const { resolve } = require("node:path");
 const { start } = require("../index.js");
 
-start({ snapshotDirectory: resolve(__dirname, "http-snapshots") });
+const startOptions = { snapshotDirectory: resolve(__dirname, "http-snapshots") };
+
+start(startOptions);
+
+module.exports = { startOptions };
@@ -0,0 +1,45 @@
+const { promises: fs } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { join } = require("node:path");
+const { startOptions } = require("./setup.js");
+const { start, stop } = require("../index.js");
+
+/** @typedef {NonNullable<Parameters<typeof start>[0]>} StartOptions */
+
+/**
+ * Restart with other options for the duration of `fn`, then go back to the options of setup.js
+ * @template T
+ * @param {StartOptions} opts
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withStartOptions(opts, fn) {
+  stop();
+  try {
+    start(opts);
+    return await fn();
+  } finally {
+    stop();
+    start(startOptions);
+  }
+}
+
+/**
+ * Restart with snapshots in a new temporary directory for the duration of `fn`, then go back to the
+ * options of setup.js and remove the directory
+ * @template T
+ * @param {Omit<StartOptions, "snapshotDirectory"> | ((dir: string) => Omit<StartOptions, "snapshotDirectory">)} opts
+ * Options, or a function that returns them for the temporary directory
+ * @param {(dir: string) => Promise<T>} fn Gets the temporary snapshot directory
+ * @returns {Promise<T>}
+ */
+async function withTempSnapshotDirectory(opts, fn) {
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-"));
+  try {
+    return await withStartOptions({ ...(typeof opts === "function" ? opts(dir) : opts), snapshotDirectory: dir }, () => fn(dir));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { withStartOptions, withTempSnapshotDirectory };
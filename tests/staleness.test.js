@@ -0,0 +1,71 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { join } = require("node:path");
+const { startOptions } = require("./setup.js");
+const { start, stop, withTestCase } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+const { withTempSnapshotDirectory } = require("./snapshot-directory.js");
+
+test("Stale snapshots fail in read mode and are re-recorded with refresh-stale mode", async (t) => {
+  let responseValue = "first recording";
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ path: req.url, value: responseValue }));
+  });
+  /**
+   * @param {string} path
+   * @param {import("../index.js").SnapshotMode} mode
+   */
+  const get = (path, mode) => withTestCase("staleness", () => fetch(`${origin}${path}`), { mode });
+  try {
+    await withTempSnapshotDirectory({ staleness: { maxAge: "30d", onStale: "fail" } }, async (dir) => {
+      await get("/fresh", "update");
+      await get("/stale", "update");
+      const files = await fs.readdir(join(dir, "staleness"));
+      const staleFile = join(dir, "staleness", /** @type {string} */ (files.find((file) => file.includes("stale"))));
+      const staleSnapshot = JSON.parse(await fs.readFile(staleFile, "utf-8"));
+      t.ok(new Date(staleSnapshot.recordedAt).getTime() > Date.now() - 60000, "recordedAt must be recorded");
+      t.ok(staleSnapshot.version, "library version must be recorded");
+      await fs.writeFile(staleFile, JSON.stringify({ ...staleSnapshot, recordedAt: "2021-01-01T00:00:00.000Z" }));
+
+      t.equal((await get("/fresh", "read")).status, 200, "fresh snapshot must be read");
+      t.equal((await get("/stale", "read")).status, 500, "stale snapshot must fail the request");
+
+      responseValue = "second recording";
+      const fresh = await (await get("/fresh", "refresh-stale")).json();
+      t.equal(fresh.value, "first recording", "fresh snapshot must not be re-recorded");
+      const refreshed = await (await get("/stale", "refresh-stale")).json();
+      t.equal(refreshed.value, "second recording", "stale snapshot must be re-recorded");
+      const refreshedSnapshot = JSON.parse(await fs.readFile(staleFile, "utf-8"));
+      t.equal(refreshedSnapshot.response.body.value, "second recording");
+      t.notEqual(refreshedSnapshot.recordedAt, "2021-01-01T00:00:00.000Z");
+
+      const missing = await (await get("/missing", "refresh-stale")).json();
+      t.equal(missing.value, "second recording", "missing snapshot must be recorded");
+      t.equal((await fs.readdir(join(dir, "staleness"))).length, 3);
+      t.equal((await (await get("/missing", "read")).json()).value, "second recording");
+    });
+  } finally {
+    await closeServer();
+  }
+});
+
+test("refresh-stale mode requires a maxAge", (t) => {
+  const previousMode = process.env.SNAPSHOT;
+  process.env.SNAPSHOT = "refresh-stale";
+  stop();
+  try {
+    t.throws(
+      () => start(startOptions),
+      /refresh-stale mode needs the staleness\.maxAge option of start\(\)/,
+    );
+  } finally {
+    if (previousMode === undefined) {
+      delete process.env.SNAPSHOT;
+    } else {
+      process.env.SNAPSHOT = previousMode;
+    }
+    start(startOptions);
+  }
+  t.end();
+});
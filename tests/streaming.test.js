@@ -0,0 +1,82 @@
+const test = require("tape");
+const http = require("node:http");
+require("./setup.js");
+const { startTestCase, endTestCase } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+
+const events = ["data: one\n\n", "data: two\n\n", "data: three\n\n"];
+
+/** @type {import('node:http').RequestListener} */
+function eventStreamServer(req, res) {
+  res.writeHead(200, { "content-type": "text/event-stream" });
+  let index = 0;
+  const timer = setInterval(() => {
+    res.write(events[index]);
+    index += 1;
+    if (index === events.length) {
+      clearInterval(timer);
+      res.end();
+    }
+  }, 50);
+}
+
+/**
+ * @param {Response} res
+ */
+async function readChunks(res) {
+  const decoder = new TextDecoder();
+  /** @type {string[]} */
+  const chunks = [];
+  const reader = /** @type {ReadableStream<Uint8Array>} */ (res.body).getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(decoder.decode(value));
+  }
+  return chunks;
+}
+
+test("Event stream is replayed chunk by chunk", async (t) => {
+  const closeServer = await startLocalServer(eventStreamServer);
+  startTestCase("streaming");
+  try {
+    const res = await fetch(`${origin}/events`);
+    t.deepEquals(await readChunks(res), events, "fetch must receive the recorded chunks");
+
+    const chunks = await new Promise((resolve, reject) => {
+      http.get(`${origin}/events`, (response) => {
+        /** @type {string[]} */
+        const received = [];
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => received.push(chunk));
+        response.on("end", () => resolve(received));
+        response.on("error", reject);
+      }).on("error", reject);
+    });
+    t.deepEquals(chunks, events, "http.get must receive the recorded chunks");
+  } finally {
+    endTestCase();
+    await closeServer();
+  }
+});
+
+// The snapshot of this test case was edited by hand to add `abortAfterChunks` and `delayMs`
+test("Replayed stream can be aborted midway", { skip: Boolean(process.env.SNAPSHOT && process.env.SNAPSHOT !== "read") }, async (t) => {
+  startTestCase("streaming-abort");
+  try {
+    const res = await fetch(`${origin}/events`);
+    const decoder = new TextDecoder();
+    const reader = /** @type {ReadableStream<Uint8Array>} */ (res.body).getReader();
+    const startTime = Date.now();
+    t.equal(decoder.decode((await reader.read()).value), events[0], "first chunk must be received");
+    t.ok(Date.now() - startTime >= 20, "first chunk must be delayed by recorded delayMs");
+    try {
+      await reader.read();
+      t.fail("stream must error after the first chunk");
+    } catch (err) {
+      t.match(/** @type {Error} */ (err).message, /Stream aborted after 1 chunk/);
+    }
+  } finally {
+    endTestCase();
+  }
+});
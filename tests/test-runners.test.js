@@ -0,0 +1,143 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { join, resolve } = require("node:path");
+const { promisify } = require("node:util");
+const { execFile } = require("node:child_process");
+const { startLocalServer } = require("./local-server.js");
+const { getTestCaseDirectoryName } = require("../test-runners/shared.js");
+
+const rootDirectory = resolve(__dirname, "..");
+
+/**
+ * Run a test runner on its fixture, with the integration for the test runner
+ * @param {string[]} args Arguments of node.js
+ * @param {string} snapshotDirectory
+ * @param {string} mode
+ */
+async function runFixture(args, snapshotDirectory, mode) {
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, args, {
+      cwd: rootDirectory,
+      env: { ...process.env, SNAPSHOT: mode, FIXTURE_SNAPSHOT_DIRECTORY: snapshotDirectory },
+    });
+    return { exitCode: 0, stdout };
+  } catch (err) {
+    const { code, stdout } = /** @type {{ code: number, stdout: string }} */ (err);
+    return { exitCode: code, stdout };
+  }
+}
+
+/**
+ * Run the node:test fixture with the node:test integration
+ * @param {string} snapshotDirectory
+ * @param {string} mode
+ */
+function runNodeTestFixture(snapshotDirectory, mode) {
+  return runFixture([
+    "--test",
+    "--test-reporter=spec",
+    "--require",
+    "./test-runners/node-test.js",
+    "tests/test-runners/node-test.fixture.js",
+  ], snapshotDirectory, mode);
+}
+
+/**
+ * Run the mocha fixture with the mocha integration
+ * @param {string} snapshotDirectory
+ * @param {string} mode
+ */
+function runMochaFixture(snapshotDirectory, mode) {
+  return runFixture([
+    require.resolve("mocha/bin/mocha.js"),
+    "--reporter=spec",
+    "--require",
+    "./test-runners/mocha.js",
+    "tests/test-runners/mocha.fixture.js",
+  ], snapshotDirectory, mode);
+}
+
+test("Test case directory is derived from the test file and the test title", (t) => {
+  t.equal(
+    getTestCaseDirectoryName(resolve("tests/orders/checkout.test.js"), "checkout retries on 503"),
+    join("tests", "orders", "checkout", "checkout-retries-on-503"),
+  );
+  t.equal(getTestCaseDirectoryName("api.spec.mjs", "GET /orders"), join("api", "get-orders"));
+  t.end();
+});
+
+test("node:test integration scopes snapshots per test and fails tests with missing snapshots", async (t) => {
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ path: req.url }));
+  });
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-test-runners-"));
+  const fixtureDirectory = join(dir, "tests", "test-runners", "node-test-fixture");
+  try {
+    const recorded = await runNodeTestFixture(dir, "update");
+    t.equal(recorded.exitCode, 0, "tests must pass while recording");
+    t.deepEqual(
+      (await fs.readdir(fixtureDirectory)).sort(),
+      ["ignores-failed-requests", "orders-lists-orders"],
+      "each test must get its own test case directory",
+    );
+
+    await fs.rm(join(fixtureDirectory, "ignores-failed-requests"), { recursive: true });
+    const replayed = await runNodeTestFixture(dir, "read");
+    t.equal(replayed.exitCode, 1, "test run must fail");
+    t.match(replayed.stdout, /✔ lists orders/, "test with snapshots must pass");
+    t.match(replayed.stdout, /✖ ignores failed requests/, "test with a missing snapshot must fail");
+    t.match(
+      replayed.stdout,
+      /Network request not mocked: GET http:\/\/127\.0\.0\.1:47123\/optional/,
+      "test must fail with the request that has no snapshot",
+    );
+  } finally {
+    await closeServer();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("mocha integration scopes snapshots per test and fails async and callback tests with missing snapshots", async (t) => {
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ path: req.url }));
+  });
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-test-runners-"));
+  const fixtureDirectory = join(dir, "tests", "test-runners", "mocha-fixture");
+  try {
+    const recorded = await runMochaFixture(dir, "update");
+    t.equal(recorded.exitCode, 0, "tests must pass while recording");
+    t.deepEqual(
+      (await fs.readdir(fixtureDirectory)).sort(),
+      [
+        "ignores-failed-requests",
+        "ignores-failed-requests-with-a-callback",
+        "lists-orders-with-a-callback",
+        "orders-lists-orders",
+      ],
+      "each test must get its own test case directory",
+    );
+
+    await fs.rm(join(fixtureDirectory, "ignores-failed-requests"), { recursive: true });
+    await fs.rm(join(fixtureDirectory, "ignores-failed-requests-with-a-callback"), { recursive: true });
+    const replayed = await runMochaFixture(dir, "read");
+    t.equal(replayed.exitCode, 2, "test run must fail with both tests that have a missing snapshot");
+    t.match(replayed.stdout, /✔ lists orders\n/, "async test with snapshots must pass");
+    t.match(replayed.stdout, /✔ lists orders with a callback/, "callback test with snapshots must pass");
+    t.match(
+      replayed.stdout,
+      /1\) ignores failed requests:\s+Error: Network request not mocked: GET http:\/\/127\.0\.0\.1:47123\/optional/,
+      "async test with a missing snapshot must fail with the request",
+    );
+    t.match(
+      replayed.stdout,
+      /2\) ignores failed requests with a callback:\s+Error: Network request not mocked: GET http:\/\/127\.0\.0\.1:47123\/optional/,
+      "callback test with a missing snapshot must fail with the request",
+    );
+  } finally {
+    await closeServer();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
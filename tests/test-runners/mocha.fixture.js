@@ -0,0 +1,30 @@
+// Run by test-runners.test.js with `mocha --require ./test-runners/mocha.js`
+/* global describe, it */
+const assert = require("node:assert");
+const { start } = require("../../index.js");
+const { origin } = require("../local-server.js");
+
+start({ snapshotDirectory: /** @type {string} */ (process.env.FIXTURE_SNAPSHOT_DIRECTORY) });
+
+describe("orders", () => {
+  it("lists orders", async () => {
+    const res = await fetch(`${origin}/orders`);
+    assert.deepEqual(await res.json(), { path: "/orders" });
+  });
+});
+
+it("ignores failed requests", async () => {
+  // Code under test that swallows errors
+  await fetch(`${origin}/optional`).catch(() => {});
+});
+
+it("lists orders with a callback", (done) => {
+  fetch(`${origin}/orders`)
+    .then((res) => res.json())
+    .then((body) => assert.deepEqual(body, { path: "/orders" }))
+    .then(() => done(), done);
+});
+
+it("ignores failed requests with a callback", (done) => {
+  fetch(`${origin}/optional`).catch(() => {}).then(() => done());
+});
@@ -0,0 +1,19 @@
+// Run by test-runners.test.js with `node --test --require ./test-runners/node-test.js`
+const { test, describe } = require("node:test");
+const assert = require("node:assert");
+const { start } = require("../../index.js");
+const { origin } = require("../local-server.js");
+
+start({ snapshotDirectory: /** @type {string} */ (process.env.FIXTURE_SNAPSHOT_DIRECTORY) });
+
+describe("orders", () => {
+  test("lists orders", async () => {
+    const res = await fetch(`${origin}/orders`);
+    assert.deepEqual(await res.json(), { path: "/orders" });
+  });
+});
+
+test("ignores failed requests", async () => {
+  // Code under test that swallows errors
+  await fetch(`${origin}/optional`).catch(() => {});
+});
@@ -0,0 +1,95 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { join } = require("node:path");
+require("./setup.js");
+const { startTestCase, endTestCase, withTestCase } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+const { withTempSnapshotDirectory } = require("./snapshot-directory.js");
+
+test("Unused snapshots of a test case are reported at endTestCase() and deleted on update", async (t) => {
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ path: req.url }));
+  });
+  try {
+    await withTempSnapshotDirectory({
+      unusedSnapshots: { onEndTestCase: "fail", deleteOnUpdate: true },
+    }, async (dir) => {
+      const testCaseDirectory = join(dir, "orders");
+      await withTestCase("orders", async () => {
+        await fetch(`${origin}/orders`);
+        await fetch(`${origin}/orders/1`);
+      }, { mode: "update" });
+      await withTestCase("orders/nested", () => fetch(`${origin}/nested`), { mode: "update" });
+      t.equal((await fs.readdir(testCaseDirectory)).filter((file) => file.endsWith(".json")).length, 2);
+
+      startTestCase("orders", { mode: "read" });
+      await fetch(`${origin}/orders`);
+      t.throws(
+        () => endTestCase(),
+        /Test case 'orders' didn't use 1 snapshot file\(s\):\n {2}orders[\\/]get-127-0-0-1-orders-1-/,
+        "endTestCase() must fail on the snapshot the test case no longer reads",
+      );
+      try {
+        await withTestCase("orders", () => fetch(`${origin}/orders/1`), { mode: "read" });
+        t.fail("withTestCase() must fail once the test case function is done");
+      } catch (err) {
+        t.match(/** @type {Error} */ (err).message, /didn't use 1 snapshot file\(s\):\n {2}orders[\\/]get-127-0-0-1-orders-(?!1-)/);
+      }
+
+      await withTestCase("orders", () => fetch(`${origin}/orders`), { mode: "update" });
+      const files = (await fs.readdir(testCaseDirectory)).sort();
+      t.equal(files.length, 2, "snapshot that wasn't re-recorded must be deleted");
+      t.ok(files[0].startsWith("get-127-0-0-1-orders-"), "re-recorded snapshot must be kept");
+      t.equal(files[1], "nested", "snapshots of nested test cases must be kept");
+
+      await withTestCase("orders", () => fetch(`${origin}/orders`), { mode: "read" });
+      t.pass("test case that reads all of its snapshots must not fail");
+    });
+  } finally {
+    await closeServer();
+  }
+});
+
+test("Unused snapshots of a test case that failed are neither reported nor deleted", async (t) => {
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ path: req.url }));
+  });
+  try {
+    await withTempSnapshotDirectory({
+      unusedSnapshots: { onEndTestCase: "fail", deleteOnUpdate: true },
+    }, async (dir) => {
+      const countSnapshots = async () => (await fs.readdir(join(dir, "checkout"))).length;
+
+      await withTestCase("checkout", async () => {
+        await fetch(`${origin}/cart`);
+        await fetch(`${origin}/payment`);
+      }, { mode: "update" });
+      t.equal(await countSnapshots(), 2);
+
+      try {
+        await withTestCase("checkout", async () => {
+          await fetch(`${origin}/cart`);
+          throw new Error("assertion failed halfway");
+        }, { mode: "update" });
+        t.fail("withTestCase() must reject with the error of the test case function");
+      } catch (err) {
+        t.equal(/** @type {Error} */ (err).message, "assertion failed halfway");
+      }
+      t.equal(await countSnapshots(), 2, "withTestCase() that threw must not delete snapshots on update");
+
+      startTestCase("checkout", { mode: "update" });
+      await fetch(`${origin}/cart`);
+      endTestCase({ failed: true });
+      t.equal(await countSnapshots(), 2, "endTestCase() of a failed test must not delete snapshots on update");
+
+      startTestCase("checkout", { mode: "read" });
+      await fetch(`${origin}/cart`);
+      await fetch(`${origin}/missing`);
+      t.equal(endTestCase().length, 1, "test case with a missing snapshot must report the miss, not the unused snapshot");
+    });
+  } finally {
+    await closeServer();
+  }
+});
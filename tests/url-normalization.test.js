@@ -0,0 +1,47 @@
+const test = require("tape");
+const { startOptions } = require("./setup.js");
+const { defaultSnapshotFileNameGenerator } = require("../index.js");
+const { withStartOptions } = require("./snapshot-directory.js");
+
+/**
+ * @param {string} url
+ */
+function generate(url) {
+  return defaultSnapshotFileNameGenerator(new Request(url));
+}
+
+test("URL normalization sorts and ignores query params and templates paths", async (t) => {
+  await withStartOptions({
+    ...startOptions,
+    urlNormalization: {
+      sortQueryParams: true,
+      ignoreQueryParams: { "*": ["_t"], "api.example.com": ["cb"] },
+      pathTemplates: ["/users/:id/orders", { host: "cdn.example.com", template: "/assets/:version/app.js" }],
+    },
+  }, async () => {
+    const sorted = await generate("https://api.example.com/search?a=1&b=2");
+    t.equal(
+      (await generate("https://api.example.com/search?b=2&a=1&_t=1714557600000&cb=x")).fileSuffixKey,
+      sorted.fileSuffixKey,
+      "query param order and ignored params must not change the key",
+    );
+    t.notEqual(
+      (await generate("https://other.example.com/search?a=1&b=2&cb=x")).fileSuffixKey,
+      (await generate("https://other.example.com/search?a=1&b=2")).fileSuffixKey,
+      "host specific params must only be ignored for that host",
+    );
+
+    const orders = await generate("https://api.example.com/users/8f3a9c2e/orders");
+    t.equal(orders.filePrefix, "get-api-example-com-users-id-orders", "prefix must use the path template");
+    t.ok(orders.fileSuffixKey.includes("/users/8f3a9c2e/orders"), "key must keep the concrete value");
+    t.notEqual((await generate("https://api.example.com/users/b71d04aa/orders")).fileSuffixKey, orders.fileSuffixKey);
+    t.equal((await generate("https://api.example.com/users/8f3a9c2e")).filePrefix, "get-api-example-com-users-8f3a9c2e");
+    t.equal((await generate("https://cdn.example.com/assets/1.2.3/app.js")).filePrefix, "get-cdn-example-com-assets-version-app-js");
+    t.equal((await generate("https://api.example.com/assets/1.2.3/app.js")).filePrefix, "get-api-example-com-assets-1-2-3-app-js");
+  });
+});
+
+test("URLs are hashed verbatim without URL normalization options", async (t) => {
+  const { fileSuffixKey } = await generate("https://api.example.com/search?b=2&a=1");
+  t.equal(fileSuffixKey, "GET#https://api.example.com/search?b=2&a=1#");
+});
@@ -0,0 +1,101 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { resolve, join } = require("node:path");
+const { promisify } = require("node:util");
+const { execFile } = require("node:child_process");
+const { setTimeout } = require("node:timers/promises");
+const { startOptions } = require("./setup.js");
+const { withTestCase, getSnapshotDrift } = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+const { withStartOptions, withTempSnapshotDirectory } = require("./snapshot-directory.js");
+
+test("Verify mode reports how live responses drifted from snapshots", async (t) => {
+  const closeServer = await startLocalServer((req, res) => {
+    res.setHeader("content-type", "application/json; charset=utf-8");
+    res.end(JSON.stringify({
+      id: 1,
+      name: "Alice B.",
+      roles: ["admin", "billing"],
+      requestId: Math.random().toString(36).slice(2),
+    }));
+  });
+  try {
+    await withStartOptions({
+      ...startOptions,
+      verify: { ignoreBodyPaths: ["$.requestId"] },
+    }, async () => {
+      const json = await withTestCase("verify", async () => (await fetch(`${origin}/contract`)).json(), { mode: "verify" });
+      t.equal(json.name, "Alice B.", "response must come from the live server");
+      await withTestCase("verify", () => fetch(`${origin}/new-endpoint`), { mode: "verify" });
+
+      const [contractDrift, newEndpointDrift] = getSnapshotDrift();
+      t.deepEquals(contractDrift, {
+        fileName: join("verify", "get-127-0-0-1-contract-WP15sKTbIWYc9Zg.json"),
+        request: { method: "GET", url: `${origin}/contract` },
+        missingSnapshot: false,
+        differences: [
+          { kind: "header", path: "content-type", expected: "application/json", actual: "application/json; charset=utf-8" },
+          { kind: "body", path: "$.name", expected: "Alice", actual: "Alice B." },
+          { kind: "body", path: "$.roles[1]", expected: undefined, actual: "billing" },
+        ],
+      }, "status, header and body differences must be reported, except ignored paths");
+      t.equal(newEndpointDrift.missingSnapshot, true, "request without snapshot must be reported");
+    });
+  } finally {
+    await closeServer();
+  }
+});
+
+test("Streamed bodies are compared by their joined content in verify mode", async (t) => {
+  /** @type {string[]} */
+  let writes = [];
+  const closeServer = await startLocalServer(async (req, res) => {
+    res.writeHead(200, { "content-type": "text/event-stream" });
+    for (const data of writes) {
+      res.write(data);
+      await setTimeout(20);
+    }
+    res.end();
+  });
+  try {
+    await withTempSnapshotDirectory({}, async () => {
+      writes = ["data: one\n\n", "data: two\n\n"];
+      await withTestCase("verify-stream", async () => (await fetch(`${origin}/events`)).text(), { mode: "update" });
+
+      writes = ["data: o", "ne\n\ndata: two\n\n"];
+      await withTestCase("verify-stream", async () => (await fetch(`${origin}/events`)).text(), { mode: "verify" });
+      t.deepEqual(getSnapshotDrift(), [], "same content split into other chunks must not be reported");
+
+      writes = ["data: one\n\n", "data: three\n\n"];
+      await withTestCase("verify-stream", async () => (await fetch(`${origin}/events`)).text(), { mode: "verify" })
+        .catch(() => {}); // the drift fails the test case
+      t.deepEqual(getSnapshotDrift().map(({ differences }) => differences), [[{
+        kind: "body",
+        path: "$",
+        expected: "data: one\n\ndata: two\n\n",
+        actual: "data: one\n\ndata: three\n\n",
+      }]], "different content must be reported as joined text");
+    });
+  } finally {
+    await closeServer();
+  }
+});
+
+test("Drift of a test case in verify mode fails the process, whatever the global mode", async (t) => {
+  const closeServer = await startLocalServer((req, res) => res.end("ok"));
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-verify-"));
+  try {
+    await promisify(execFile)(process.execPath, [resolve(__dirname, "verify", "verify-test-case.fixture.js")], {
+      env: { ...process.env, SNAPSHOT: "", FIXTURE_SNAPSHOT_DIRECTORY: dir },
+    });
+    t.fail("process must exit with an error");
+  } catch (err) {
+    const { code, stderr } = /** @type {{ code: number, stderr: string }} */ (err);
+    t.equal(code, 1);
+    t.match(stderr, /1 request\(s\) drifted from their snapshots/);
+  } finally {
+    await closeServer();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
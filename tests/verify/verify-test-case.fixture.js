@@ -0,0 +1,7 @@
+// Run by verify.test.js, which checks the exit code. The global mode is read, only the test case verifies.
+const { start, withTestCase } = require("../../index.js");
+const { origin } = require("../local-server.js");
+
+start({ snapshotDirectory: /** @type {string} */ (process.env.FIXTURE_SNAPSHOT_DIRECTORY) });
+
+withTestCase("verify", () => fetch(`${origin}/new-endpoint`), { mode: "verify" });
@@ -0,0 +1,121 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { tmpdir } = require("node:os");
+const { join, resolve } = require("node:path");
+const { promisify } = require("node:util");
+const { execFile } = require("node:child_process");
+const { startLocalWebSocketServer } = require("./local-server.js");
+
+/**
+ * Run the WebSocket client fixture
+ * @param {string} snapshotDirectory
+ * @param {string} mode
+ * @param {(string|number[])[]} messages Text messages, or bytes of binary messages
+ * @param {number} [connections] Number of connections to have the conversation over, one after the other
+ * @returns {Promise<{ received: string[], errors: string[] }>}
+ */
+async function runWebSocketFixture(snapshotDirectory, mode, messages, connections = 1) {
+  const { stdout } = await promisify(execFile)(
+    process.execPath,
+    ["--experimental-websocket", resolve(__dirname, "websocket", "websocket.fixture.js")],
+    {
+      env: {
+        ...process.env,
+        SNAPSHOT: mode,
+        FIXTURE_SNAPSHOT_DIRECTORY: snapshotDirectory,
+        FIXTURE_MESSAGES: JSON.stringify(messages),
+        FIXTURE_CONNECTIONS: String(connections),
+      },
+      timeout: 30000,
+    },
+  );
+  return JSON.parse(stdout.trim().split("\n").pop() || "");
+}
+
+test("WebSocket conversations are recorded and replayed in response to client messages", async (t) => {
+  const closeServer = await startLocalWebSocketServer((socket) => {
+    socket.send("welcome");
+    return {
+      onMessage: (data) => {
+        if (data === "bye") {
+          socket.close(4000, "done");
+        } else if (typeof data === "string") {
+          socket.send(`echo:${data}`);
+        } else {
+          socket.send(Buffer.from(data).reverse());
+        }
+      },
+    };
+  });
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-websocket-"));
+  const conversation = ["subscribe", [1, 2, 3], "bye"];
+  const expected = ["welcome", "echo:subscribe", "binary:030201", "close:4000:done"];
+  try {
+    const recorded = await runWebSocketFixture(dir, "update", conversation);
+    t.deepEqual(recorded, { received: expected, errors: [] }, "connection must go to the server while recording");
+    const [file] = await fs.readdir(join(dir, "websocket"));
+    const snapshot = JSON.parse(await fs.readFile(join(dir, "websocket", file), "utf-8"));
+    t.equal(snapshot.responseType, "websocket");
+    t.equal(snapshot.request.url, "ws://127.0.0.1:47123/prices");
+    t.deepEqual(snapshot.response.body, [
+      // Sent as soon as the client opened, before the server connection was
+      { from: "client", text: "subscribe" },
+      { from: "server", text: "welcome" },
+      { from: "server", text: "echo:subscribe" },
+      { from: "client", base64: "AQID" },
+      { from: "server", base64: "AwIB" },
+      { from: "client", text: "bye" },
+      { from: "server", close: { code: 4000, reason: "done" } },
+    ]);
+  } finally {
+    await closeServer();
+  }
+  try {
+    const replayed = await runWebSocketFixture(dir, "read", conversation);
+    t.deepEqual(replayed, { received: expected, errors: [] }, "conversation must be replayed without the server");
+
+    const unexpected = await runWebSocketFixture(dir, "read", ["subscribe", "unsubscribe"]);
+    t.deepEqual(unexpected.received, ["welcome", "echo:subscribe", "close:1011:WebSocket message not mocked"]);
+    t.deepEqual(unexpected.errors, ["WebSocket message not mocked: WebSocket ws://127.0.0.1:47123/prices"]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("WebSocket connections to the same URL within a test case are a response sequence", async (t) => {
+  let connectionCount = 0;
+  const closeServer = await startLocalWebSocketServer((socket) => {
+    connectionCount += 1;
+    const connection = connectionCount;
+    socket.send("welcome");
+    return {
+      onMessage: (data) => {
+        if (data === "bye") {
+          socket.close(4000, "done");
+        } else {
+          socket.send(`connection ${connection}:${data}`);
+        }
+      },
+    };
+  });
+  const dir = await fs.mkdtemp(join(tmpdir(), "http-snapshotter-websocket-"));
+  const expected = [
+    "welcome", "connection 1:subscribe", "close:4000:done",
+    "welcome", "connection 2:subscribe", "close:4000:done",
+  ];
+  try {
+    const recorded = await runWebSocketFixture(dir, "update", ["subscribe", "bye"], 2);
+    t.deepEqual(recorded, { received: expected, errors: [] });
+    const files = (await fs.readdir(join(dir, "websocket"))).sort();
+    t.equal(files.length, 2, "second connection must not overwrite the conversation of the first");
+    t.ok(files[0].endsWith(".2.json"), "second connection must be stored as the second of the sequence");
+  } finally {
+    await closeServer();
+  }
+  try {
+    const replayed = await runWebSocketFixture(dir, "read", ["subscribe", "bye"], 2);
+    t.deepEqual(replayed, { received: expected, errors: [] }, "each connection must replay its own conversation");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
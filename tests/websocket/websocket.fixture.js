@@ -0,0 +1,50 @@
+// Run by websocket.test.js with `node --experimental-websocket`, as node.js 20 has no global WebSocket otherwise
+const { start, startTestCase, endTestCase } = require("../../index.js");
+
+start({ snapshotDirectory: /** @type {string} */ (process.env.FIXTURE_SNAPSHOT_DIRECTORY), responseSequence: "fail" });
+
+/**
+ * Connect, send the messages one reply at a time and collect what the client receives
+ * @param {(string|Uint8Array)[]} messages
+ */
+function converse(messages) {
+  return new Promise((resolve) => {
+    const socket = new WebSocket("ws://127.0.0.1:47123/prices");
+    socket.binaryType = "arraybuffer";
+    /** @type {string[]} */
+    const received = [];
+    const sendNext = () => {
+      const message = messages.shift();
+      if (message !== undefined) socket.send(message);
+    };
+    socket.addEventListener("message", ({ data }) => {
+      received.push(typeof data === "string" ? data : `binary:${Buffer.from(data).toString("hex")}`);
+      if (data !== "welcome") sendNext();
+    });
+    socket.addEventListener("open", sendNext);
+    socket.addEventListener("close", ({ code, reason }) => {
+      received.push(`close:${code}:${reason}`);
+      resolve(received);
+    });
+  });
+}
+
+/**
+ * Have the same conversation over as many connections (one after the other) as FIXTURE_CONNECTIONS says
+ */
+async function converseRepeatedly() {
+  /** @type {string[]} */
+  const received = [];
+  for (let i = 0; i < Number(process.env.FIXTURE_CONNECTIONS || 1); i += 1) {
+    const messages = JSON.parse(/** @type {string} */ (process.env.FIXTURE_MESSAGES))
+      .map((/** @type {string|number[]} */ message) => (typeof message === "string" ? message : new Uint8Array(message)));
+    received.push(...await converse(messages));
+  }
+  return received;
+}
+
+startTestCase("websocket");
+converseRepeatedly().then((received) => {
+  const errors = endTestCase().map((err) => err.message);
+  console.log(JSON.stringify({ received, errors }));
+});
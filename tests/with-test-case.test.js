@@ -0,0 +1,83 @@
+const test = require("tape");
+const http = require("node:http");
+const { setTimeout } = require("node:timers/promises");
+require("./setup.js");
+const {
+  withTestCase,
+  attachSnapshotFilenameGenerator,
+  defaultSnapshotFileNameGenerator,
+} = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+
+/** @type {import('node:http').RequestListener} */
+function whoAmIServer(req, res) {
+  res.setHeader("content-type", "application/json");
+  res.end(JSON.stringify({ testCase: req.headers["x-test-case"] }));
+}
+
+/**
+ * @param {string} testCase
+ */
+async function fetchWhoAmI(testCase) {
+  const res = await fetch(`${origin}/whoami`, { headers: { "x-test-case": testCase } });
+  return (await res.json()).testCase;
+}
+
+/**
+ * @param {string} testCase
+ * @returns {Promise<string>}
+ */
+function httpGetWhoAmI(testCase) {
+  return new Promise((resolve, reject) => {
+    http.get(`${origin}/whoami`, { headers: { "x-test-case": testCase } }, (res) => {
+      let body = "";
+      res.on("data", (chunk) => { body += chunk; });
+      res.on("end", () => resolve(JSON.parse(body).testCase));
+    }).on("error", reject);
+  });
+}
+
+test("Concurrent test cases read their own snapshots", async (t) => {
+  const closeServer = await startLocalServer(whoAmIServer);
+  try {
+    const [first, second] = await Promise.all([
+      withTestCase("with-test-case-first", async () => {
+        await setTimeout(20);
+        return [await fetchWhoAmI("first"), await httpGetWhoAmI("first")];
+      }),
+      withTestCase("with-test-case-second", async () => {
+        const viaFetch = await fetchWhoAmI("second");
+        await setTimeout(40);
+        return [viaFetch, await httpGetWhoAmI("second")];
+      }),
+    ]);
+    t.deepEquals(first, ["first", "first"], "first test case must get its own snapshots");
+    t.deepEquals(second, ["second", "second"], "second test case must get its own snapshots");
+  } finally {
+    await closeServer();
+  }
+});
+
+test("Filename generator attached within a test case is scoped to it", async (t) => {
+  const closeServer = await startLocalServer(whoAmIServer);
+  try {
+    const [scoped, unscoped] = await Promise.all([
+      withTestCase("with-test-case-generator", async () => {
+        attachSnapshotFilenameGenerator(async (request) => {
+          const { filePrefix, fileSuffixKey } = await defaultSnapshotFileNameGenerator(request);
+          return { filePrefix: `scoped-${filePrefix}`, fileSuffixKey };
+        });
+        await setTimeout(20);
+        return fetchWhoAmI("scoped");
+      }),
+      withTestCase("with-test-case-generator", async () => {
+        await setTimeout(40);
+        return fetchWhoAmI("unscoped");
+      }),
+    ]);
+    t.equal(scoped, "scoped", "test case with attached generator must use its prefixed snapshot");
+    t.equal(unscoped, "unscoped", "other test case must keep using the default generator");
+  } finally {
+    await closeServer();
+  }
+});
@@ -0,0 +1,94 @@
+const test = require("tape");
+const { promises: fs } = require("node:fs");
+const { join } = require("node:path");
+const { setTimeout } = require("node:timers/promises");
+const { JSDOM } = require("jsdom");
+require("./setup.js");
+const {
+  startTestCase,
+  endTestCase,
+  withTestCase,
+  getRecordedRequests,
+  getRunReport,
+} = require("../index.js");
+const { origin, startLocalServer } = require("./local-server.js");
+const { withTempSnapshotDirectory } = require("./snapshot-directory.js");
+
+// Globals of a DOM test environment (e.g. jest's jsdom environment) that the interceptor uses
+const domGlobals = ["XMLHttpRequest", "XMLHttpRequestUpload", "ProgressEvent", "Document"];
+
+/**
+ * @param {string} path
+ * @returns {Promise<{ status: number, body: string }>}
+ */
+function xhrGet(path) {
+  return new Promise((resolvePromise, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("GET", `${origin}${path}`);
+    xhr.onload = () => resolvePromise({ status: xhr.status, body: xhr.responseText });
+    xhr.onerror = () => reject(new Error(`XHR to ${path} failed`));
+    xhr.send();
+  });
+}
+
+test("XMLHttpRequest of a DOM environment is recorded once and replayed", async (t) => {
+  let requestCount = 0;
+  const closeServer = await startLocalServer((req, res) => {
+    requestCount += 1;
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ path: req.url, requestCount }));
+  });
+  const dom = new JSDOM("", { url: origin });
+  domGlobals.forEach((name) => Object.assign(globalThis, { [name]: dom.window[name] }));
+  try {
+    await withTempSnapshotDirectory((dir) => ({
+      xhr: true,
+      responseSequence: "fail",
+      report: join(dir, "report.json"),
+    }), async (dir) => {
+      // XHR load fires before the response listeners that save the snapshot are done
+      const readSnapshotFiles = async () => {
+        await setTimeout(100);
+        return fs.readdir(join(dir, "xhr"));
+      };
+      await withTestCase("xhr", async () => {
+        t.deepEqual(await xhrGet("/orders"), { status: 200, body: '{"path":"/orders","requestCount":1}' });
+        t.deepEqual(getRecordedRequests().map(({ outcome }) => outcome), ["live"], "request must be recorded once");
+      }, { mode: "update" });
+      t.equal(requestCount, 1);
+      t.equal((await readSnapshotFiles()).length, 1, "request must be saved once, not as a sequence");
+
+      await withTestCase("xhr", async () => {
+        t.deepEqual(await xhrGet("/orders"), { status: 200, body: '{"path":"/orders","requestCount":1}' });
+        await xhrGet("/orders/1");
+        t.deepEqual(getRecordedRequests().map(({ outcome }) => outcome), ["hit", "live"]);
+      }, { mode: "append" });
+      t.equal(requestCount, 2, "snapshot must answer the request that was recorded before");
+      t.equal((await readSnapshotFiles()).length, 2, "appended request must be saved once");
+
+      await withTestCase("xhr", async () => {
+        t.deepEqual(await xhrGet("/orders/1"), { status: 200, body: '{"path":"/orders/1","requestCount":2}' });
+        t.deepEqual(getRecordedRequests().map(({ outcome }) => outcome), ["hit"]);
+      }, { mode: "read" });
+
+      startTestCase("xhr", { mode: "read" });
+      t.equal((await xhrGet("/missing")).status, 500, "missing snapshot must get an error response");
+      t.deepEqual(getRecordedRequests().map(({ outcome }) => outcome), ["miss"]);
+      t.match(
+        endTestCase().map(({ message }) => message).join("\n"),
+        /Network request not mocked: GET http:\/\/127\.0\.0\.1:47123\/missing/,
+        "test runner integrations must fail the test",
+      );
+      t.equal(requestCount, 2, "read mode must not reach the server");
+      t.deepEqual(
+        getRunReport().requests.map(({ url, outcome }) => [url.slice(origin.length), outcome]),
+        [["/orders", "written"], ["/orders", "hit"], ["/orders/1", "written"], ["/orders/1", "hit"], ["/missing", "miss"]],
+        "report must count each request once",
+      );
+    });
+  } finally {
+    domGlobals.forEach((name) => Reflect.deleteProperty(globalThis, name));
+    dom.window.close();
+    await closeServer();
+  }
+});